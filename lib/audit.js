@@ -0,0 +1,68 @@
+// === Mutation audit log (one row per changed field) ===
+// Row: time (ISO) | route | actor | source | recordId | field | oldValue | newValue
+// Creates/deletes are logged as a single row with field "*" and the whole record as JSON.
+const { rowsToObjects } = require('./sheetSchema');
+
+const AUDIT_HEADERS = ['time', 'route', 'actor', 'source', 'recordId', 'field', 'oldValue', 'newValue'];
+
+const str = v => (v === null || v === undefined ? '' : typeof v === 'string' ? v : JSON.stringify(v));
+
+function createAuditLog({ storage, sheet }) {
+  let ready = null;
+  const ensure = () => {
+    if (!ready) ready = storage.ensureSheet(sheet, AUDIT_HEADERS).catch(err => { ready = null; throw err; });
+    return ready;
+  };
+
+  // entries: [{ route, actor, source, recordId, field, oldValue, newValue }]
+  // Never throws: a failed audit write is logged loudly but does not undo the mutation.
+  async function record(entries) {
+    if (!entries || !entries.length) return;
+    try {
+      await ensure();
+      const time = new Date().toISOString();
+      await storage.appendRows(sheet, entries.map(e => [
+        time, e.route || '', e.actor || '', e.source || '', str(e.recordId), e.field || '', str(e.oldValue), str(e.newValue)
+      ]));
+    } catch (err) {
+      console.error('[audit] failed to write entries:', String(err.message || err), JSON.stringify(entries).slice(0, 500));
+    }
+  }
+
+  // Per-field entries for storage.updateCells-style updates against a row read beforehand
+  function cellChanges({ rows, rowIndex, updates }) {
+    const headers = rows[0] || [];
+    const before = rows[rowIndex] || [];
+    return updates
+      .map(u => ({
+        field: String(headers[u.col] ?? '').trim(),
+        oldValue: str(before[u.col]),
+        newValue: str(u.value),
+      }))
+      .filter(c => c.oldValue !== c.newValue);
+  }
+
+  // filters: { record, field, since, source, route, actor, limit }
+  async function query(filters = {}) {
+    await ensure();
+    const rows = await storage.readRows(sheet);
+    const sinceTs = filters.since ? Date.parse(filters.since) : NaN;
+    const fieldLc = String(filters.field || '').trim().toLowerCase();
+    const out = rowsToObjects(rows).filter(e =>
+      e.time &&
+      (!filters.record || e.recordId === String(filters.record).trim()) &&
+      (!fieldLc || e.field.toLowerCase() === fieldLc) &&
+      (Number.isNaN(sinceTs) || Date.parse(e.time) >= sinceTs) &&
+      (!filters.source || e.source === filters.source) &&
+      (!filters.route || e.route === filters.route) &&
+      (!filters.actor || e.actor === filters.actor)
+    );
+    out.sort((a, b) => b.time.localeCompare(a.time));
+    const limit = Math.min(Math.max(Number(filters.limit) || 500, 1), 5000);
+    return out.slice(0, limit);
+  }
+
+  return { record, cellChanges, query };
+}
+
+module.exports = { createAuditLog, AUDIT_HEADERS };
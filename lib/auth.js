@@ -0,0 +1,128 @@
+// === Authentication (signed bearer tokens or API keys) and role checks ===
+// Token:   "v1.<base64url JSON claims>.<base64url HMAC-SHA256>" signed with AUTH_SECRET
+//          claims: { sub, role, email?, partner?, iat, exp }
+// API key: X-API-Key header, configured as AUTH_API_KEYS="key:role:subject,key2:role2:subject2"
+// Roles:   client (own leads) < partner (own teams + assigned leads) < manager (everything) < admin
+const { createHmac, createHash, timingSafeEqual } = require('crypto');
+
+const ROLES = ['client', 'partner', 'manager', 'admin'];
+
+const b64url = buf => Buffer.from(buf).toString('base64url');
+const lc = v => String(v || '').trim().toLowerCase();
+const digest = s => createHash('sha256').update(String(s)).digest();
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// "k1:admin:ops@collty.com,k2:partner:agency@example.com" -> [{ hash, role, sub }]
+function parseApiKeys(spec) {
+  return String(spec || '').split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const [key, role, ...rest] = entry.split(':');
+    const sub = rest.join(':') || `apikey:${role}`;
+    if (!key || !ROLES.includes(role)) throw new Error(`Invalid AUTH_API_KEYS entry for role "${role}"`);
+    return { hash: digest(key), role, sub };
+  });
+}
+
+function createAuth({ secret = '', apiKeys = '', disabled = false } = {}) {
+  const keys = parseApiKeys(apiKeys);
+
+  function sign(body) {
+    return createHmac('sha256', secret).update(body).digest();
+  }
+
+  function signToken({ sub, role, email = '', partner = '' }, ttlSec = 7 * 24 * 3600) {
+    if (!secret) throw httpError(500, 'AUTH_SECRET is not configured');
+    if (!ROLES.includes(role)) throw httpError(400, `Unknown role "${role}"`);
+    const now = Math.floor(Date.now() / 1000);
+    const claims = { sub: sub || email || partner, role, email: lc(email), partner: lc(partner), iat: now, exp: now + ttlSec };
+    const body = `v1.${b64url(JSON.stringify(claims))}`;
+    return { token: `${body}.${b64url(sign(body))}`, claims };
+  }
+
+  // Returns claims, or throws a 401 error for malformed / forged / expired tokens
+  function verifyToken(token) {
+    const parts = String(token || '').split('.');
+    if (!secret || parts.length !== 3 || parts[0] !== 'v1') throw httpError(401, 'Invalid token');
+    const body = `${parts[0]}.${parts[1]}`;
+    const given = Buffer.from(parts[2], 'base64url');
+    const expected = sign(body);
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) throw httpError(401, 'Invalid token');
+    let claims;
+    try { claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')); } catch (_) { throw httpError(401, 'Invalid token'); }
+    if (!ROLES.includes(claims.role)) throw httpError(401, 'Invalid token');
+    if (claims.exp && claims.exp * 1000 < Date.now()) throw httpError(401, 'Token expired');
+    return claims;
+  }
+
+  function verifyApiKey(key) {
+    const h = digest(key);
+    const hit = keys.find(k => timingSafeEqual(k.hash, h));
+    if (!hit) throw httpError(401, 'Invalid API key');
+    return { sub: hit.sub, role: hit.role, email: lc(hit.sub.includes('@') ? hit.sub : ''), partner: '', apiKey: true };
+  }
+
+  // Global middleware: sets req.auth (or null for anonymous callers). Bad credentials -> 401.
+  function authenticate(req, res, next) {
+    if (disabled) {
+      req.auth = { sub: 'auth-disabled', role: 'admin', email: '', partner: '', disabled: true };
+      return next();
+    }
+    try {
+      const header = String(req.get('Authorization') || '');
+      const apiKey = req.get('X-API-Key');
+      if (/^Bearer\s+/i.test(header)) req.auth = verifyToken(header.replace(/^Bearer\s+/i, '').trim());
+      else if (apiKey) req.auth = verifyApiKey(apiKey.trim());
+      else req.auth = null;
+      next();
+    } catch (err) {
+      res.set('WWW-Authenticate', 'Bearer');
+      res.status(err.status || 401).json({ error: err.message });
+    }
+  }
+
+  // Per-route guard: allow('partner', 'manager'). Admin passes every role check.
+  function allow(...roles) {
+    return (req, res, next) => {
+      if (!req.auth) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      if (req.auth.role !== 'admin' && !roles.includes(req.auth.role)) {
+        return res.status(403).json({ error: 'Forbidden', role: req.auth.role, allowed: roles });
+      }
+      next();
+    };
+  }
+
+  return { signToken, verifyToken, authenticate, allow };
+}
+
+const isStaff = auth => Boolean(auth) && (auth.role === 'manager' || auth.role === 'admin');
+
+// Partner identity as it appears in the `partner` column (falls back to the account email)
+const partnerKey = auth => lc(auth.partner || auth.email);
+
+// Clients: leads placed with their email. Partners: leads assigned to them or to one of their teams.
+function canAccessLead(auth, lead, partnerTeamNames = null) {
+  if (isStaff(auth)) return true;
+  if (!auth || !lead) return false;
+  if (auth.role === 'client') return Boolean(auth.email) && lc(lead.email || lead.Email) === auth.email;
+  if (auth.role === 'partner') {
+    const me = partnerKey(auth);
+    if (!me) return false;
+    if (lc(lead.partner) === me) return true;
+    return Boolean(partnerTeamNames) && partnerTeamNames.has(lc(lead.TeamName));
+  }
+  return false;
+}
+
+function canAccessTeam(auth, team) {
+  if (isStaff(auth)) return true;
+  if (!auth || !team || auth.role !== 'partner') return false;
+  const me = partnerKey(auth);
+  return Boolean(me) && lc(team.partner) === me;
+}
+
+module.exports = { ROLES, createAuth, isStaff, partnerKey, canAccessLead, canAccessTeam };
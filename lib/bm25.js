@@ -0,0 +1,80 @@
+// === In-process BM25 index (lexical search leg / fallback when vectors are unavailable) ===
+// build(docs) replaces the whole index; docs: [{ id, text, item }]. Rebuilding a few thousand
+// teams takes milliseconds, so callers simply rebuild whenever their source data refreshes.
+// search(query, { limit, filter }) -> [{ id, score, item }] sorted by score (raw BM25, unbounded).
+
+// Words that carry no signal in team descriptions (plus the field labels buildSearchText adds)
+const STOP = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or',
+  'the', 'to', 'with', 'we', 'our', 'you', 'your', 'i', 'me', 'my', 'need', 'want', 'team', 'please',
+  'looking', 'search', 'find', 'build', 'hire',
+]);
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(t => t && !STOP.has(t));
+}
+
+function createBm25Index({ k1 = 1.2, b = 0.75 } = {}) {
+  let docs = [];            // [{ id, item, len, tf: Map(term -> count) }]
+  let postings = new Map(); // term -> [docIndex]
+  let avgLen = 0;
+  let builtAt = null;
+
+  function build(input) {
+    const nextDocs = [];
+    const nextPostings = new Map();
+    let total = 0;
+    for (const { id, text, item } of input) {
+      const tokens = tokenize(text);
+      const tf = new Map();
+      for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+      const idx = nextDocs.length;
+      nextDocs.push({ id, item, len: tokens.length, tf });
+      for (const t of tf.keys()) {
+        if (!nextPostings.has(t)) nextPostings.set(t, []);
+        nextPostings.get(t).push(idx);
+      }
+      total += tokens.length;
+    }
+    // Swap in one step so concurrent searches never see a half-built index
+    docs = nextDocs;
+    postings = nextPostings;
+    avgLen = nextDocs.length ? total / nextDocs.length : 0;
+    builtAt = new Date().toISOString();
+    return { docs: docs.length, terms: postings.size };
+  }
+
+  // Robertson/Sparck Jones IDF with the +1 that keeps very common terms non-negative
+  function idf(term) {
+    const n = (postings.get(term) || []).length;
+    return Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+  }
+
+  function search(query, { limit = 50, filter = null } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (!terms.length || !docs.length) return [];
+    const scores = new Map(); // docIndex -> score
+    for (const term of terms) {
+      const list = postings.get(term);
+      if (!list) continue;
+      const w = idf(term);
+      for (const idx of list) {
+        const d = docs[idx];
+        const f = d.tf.get(term);
+        const s = w * (f * (k1 + 1)) / (f + k1 * (1 - b + b * (d.len / (avgLen || 1))));
+        scores.set(idx, (scores.get(idx) || 0) + s);
+      }
+    }
+    const out = [];
+    for (const [idx, score] of scores) {
+      const d = docs[idx];
+      if (filter && !filter(d.item)) continue;
+      out.push({ id: d.id, score, item: d.item });
+    }
+    return out.sort((x, y) => y.score - x.score).slice(0, limit);
+  }
+
+  return { build, search, stats: () => ({ docs: docs.length, terms: postings.size, avgLen, builtAt }) };
+}
+
+module.exports = { createBm25Index, tokenize };
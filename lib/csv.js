@@ -0,0 +1,56 @@
+// === Minimal RFC 4180 CSV parsing / writing ===
+// Quoted fields may contain commas, doubled quotes and line breaks; CRLF and LF both end a record.
+
+// Returns string[][]; a leading UTF-8 BOM (Excel exports) is dropped and blank lines are skipped
+function parseCsv(text, { delimiter = ',' } = {}) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRecord = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') { field += '"'; i++; } else quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) {
+    const err = new Error('Unterminated quoted field in CSV');
+    err.status = 400;
+    throw err;
+  }
+  if (field !== '' || row.length) endRecord();
+  return rows;
+}
+
+// One CSV record (with trailing CRLF); fields containing delimiter, quote or line breaks are quoted
+function toCsvLine(values, { delimiter = ',' } = {}) {
+  return values.map(v => {
+    const s = v === null || v === undefined ? '' : String(v);
+    return /["\r\n]/.test(s) || s.includes(delimiter) ? `"${s.replace(/"/g, '""')}"` : s;
+  }).join(delimiter) + '\r\n';
+}
+
+module.exports = { parseCsv, toCsvLine };
@@ -0,0 +1,57 @@
+// === Opt-in response envelope ===
+// Clients that send "X-API-Version: 2" (or ?v=2) get every JSON response as
+//   { data, error: null | { code, message, ...details }, degraded }
+// instead of the bare payload. Legacy clients keep the old bodies, including the 200-with-[]
+// fallbacks, so "no results" and "backend down" only become distinguishable for v2 callers.
+// Routes report a fallback with degrade(res, { code, message, status }) before sending it; error bodies
+// may carry their own `code`, otherwise one is derived from the HTTP status.
+
+const ENVELOPE_VERSION = 2;
+const VERSION_HEADER = 'X-API-Version';
+const VERSION_PARAM = 'v';
+
+const STATUS_CODES = {
+  400: 'BAD_REQUEST', 401: 'UNAUTHORIZED', 403: 'FORBIDDEN', 404: 'NOT_FOUND', 409: 'CONFLICT',
+  429: 'RATE_LIMITED', 500: 'INTERNAL_ERROR', 502: 'UPSTREAM_ERROR', 503: 'UNAVAILABLE',
+};
+
+function wantsEnvelope(req) {
+  const v = req.get(VERSION_HEADER) ?? req.query?.[VERSION_PARAM];
+  return Number(String(v || '').replace(/^v/i, '')) >= ENVELOPE_VERSION;
+}
+
+// Marks the response as a fallback. status only applies to v2 callers (legacy ones get what the route sends).
+function degrade(res, { code, message, status = 503 }) {
+  res.locals.degraded = { code, message, status };
+}
+
+// App-level middleware: mount it before authentication and rate limiting so their errors are enveloped too
+function envelope(req, res, next) {
+  res.vary(VERSION_HEADER);
+  if (!wantsEnvelope(req)) return next();
+  const json = res.json.bind(res);
+  res.json = body => {
+    const fallback = res.locals.degraded;
+    if (fallback) {
+      res.status(fallback.status);
+      return json({ data: body, error: { code: fallback.code, message: fallback.message }, degraded: true });
+    }
+    if (res.statusCode >= 400) {
+      const { error, code: given, ...details } = body && typeof body === 'object' ? body : { error: String(body) };
+      const code = given || (res.statusCode === 400 && details.fields ? 'VALIDATION_FAILED' : (STATUS_CODES[res.statusCode] || 'ERROR'));
+      return json({ data: null, error: { code, message: String(error || code), ...details }, degraded: false });
+    }
+    return json({ data: body, error: null, degraded: false });
+  };
+  next();
+}
+
+// Error middleware (mount last): errors thrown before a route answers (malformed JSON, CORS) get an
+// enveloped body for v2 callers; legacy callers keep Express's default error page
+function envelopeErrors(err, req, res, next) {
+  if (res.headersSent || !wantsEnvelope(req)) return next(err);
+  const status = Number(err.status || err.statusCode) || 500;
+  res.status(status).json({ error: status < 500 ? String(err.message || err) : 'Internal error' });
+}
+
+module.exports = { envelope, envelopeErrors, degrade, wantsEnvelope, VERSION_HEADER, VERSION_PARAM };
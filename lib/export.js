@@ -0,0 +1,110 @@
+// === Tabular exports (CSV / XLSX) streamed straight into the HTTP response ===
+// Records are header-keyed objects (rowsToObjects); columns decide order and selection.
+const ExcelJS = require('exceljs');
+const { toCsvLine } = require('./csv');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const CHAT_FIELDS = ['Chat', 'ClientChat', 'PartnerChat', 'ManagerChat'];
+
+// Chat cells hold a JSON array of messages; render one "[time] author: text" line per message
+function flattenChat(value) {
+  if (!value) return '';
+  let msgs = value;
+  if (typeof value === 'string') {
+    try { msgs = JSON.parse(value); } catch (_) { return value; }
+  }
+  if (!Array.isArray(msgs)) return typeof value === 'string' ? value : JSON.stringify(value);
+  return msgs.map(m => {
+    if (!m || typeof m !== 'object') return String(m ?? '');
+    const time = m.time || m.timestamp || m.date || m.createdAt || '';
+    const who = m.author || m.from || m.sender || m.name || m.role || '';
+    const text = m.text ?? m.message ?? m.body ?? m.content ?? '';
+    return `${time ? `[${time}] ` : ''}${who ? `${who}: ` : ''}${text}`;
+  }).join('\n');
+}
+
+// `requested`: "a,b,c" or array; names match case-insensitively. Unknown names -> 400.
+function pickColumns(available, requested) {
+  const list = Array.isArray(requested) ? requested : String(requested || '').split(',');
+  const names = list.map(s => String(s).trim()).filter(Boolean);
+  const all = available.filter(Boolean);
+  if (!names.length) return all;
+  const byLower = new Map(all.map(c => [c.toLowerCase(), c]));
+  const unknown = names.filter(n => !byLower.has(n.toLowerCase()));
+  if (unknown.length) {
+    const err = new Error(`Unknown columns: ${unknown.join(', ')}`);
+    err.status = 400;
+    err.details = { unknown, available: all };
+    throw err;
+  }
+  return names.map(n => byLower.get(n.toLowerCase()));
+}
+
+function cellValue(record, col) {
+  const v = CHAT_FIELDS.includes(col) ? flattenChat(record[col]) : record[col];
+  return v === null || v === undefined ? '' : String(v);
+}
+
+// Excel evaluates CSV cells starting with = + - @ as formulas; neutralize non-numeric ones.
+// XLSX needs no escaping: exceljs writes these as plain strings, never formulas.
+function csvCellValue(record, col) {
+  const s = cellValue(record, col);
+  return /^[=+\-@]/.test(s) && !Number.isFinite(Number(s)) ? `'${s}` : s;
+}
+
+// -> true once the socket drained, false if the client went away first
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = drained => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      res.off('error', onClose);
+      resolve(drained);
+    };
+    const onDrain = () => done(true);
+    const onClose = () => done(false);
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+    res.on('error', onClose);
+  });
+}
+
+async function writeCsv(res, columns, records) {
+  res.write('\uFEFF'); // BOM so Excel picks UTF-8
+  res.write(toCsvLine(columns));
+  for (const r of records) {
+    if (res.destroyed) return; // client disconnected: stop instead of waiting for a drain that never comes
+    // respect backpressure instead of buffering the whole file in memory
+    if (!res.write(toCsvLine(columns.map(c => csvCellValue(r, c)))) && !(await waitForDrain(res))) return;
+  }
+  res.end();
+}
+
+async function writeXlsx(res, columns, records, sheetName) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false, useStyles: false });
+  const sheet = workbook.addWorksheet(String(sheetName || 'Export').slice(0, 31));
+  sheet.addRow(columns).commit();
+  for (const r of records) sheet.addRow(columns.map(c => cellValue(r, c))).commit();
+  sheet.commit();
+  await workbook.commit();
+}
+
+// opts: { format, filename (without extension), columns, records, sheetName }
+async function sendExport(res, { format = 'csv', filename, columns, records, sheetName }) {
+  const fmt = String(format).toLowerCase();
+  if (!EXPORT_FORMATS.includes(fmt)) {
+    const err = new Error(`Unsupported format "${format}" (expected ${EXPORT_FORMATS.join(' or ')})`);
+    err.status = 400;
+    throw err;
+  }
+  const name = `${filename}-${new Date().toISOString().slice(0, 10)}.${fmt}`;
+  res.set('Content-Disposition', `attachment; filename="${name}"`);
+  if (fmt === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    return writeCsv(res, columns, records);
+  }
+  res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  return writeXlsx(res, columns, records, sheetName);
+}
+
+module.exports = { EXPORT_FORMATS, CHAT_FIELDS, flattenChat, pickColumns, sendExport };
@@ -0,0 +1,72 @@
+// === Stable lead IDs ===
+// Each lead carries a UUID in its own `leadId` column. Mutation routes look leads up by
+// that ID; the legacy email + locale-timestamp pair is still accepted during migration.
+const { randomUUID } = require('crypto');
+
+const LEAD_ID_COLUMN = 'leadId';
+
+const norm = s => String(s ?? '').trim();
+const findCol = (headers, name) => (headers || []).findIndex(h => norm(h).toLowerCase() === name.toLowerCase());
+
+// Accepts { id } / { leadId } or the legacy { email, timestamp }; returns null when neither is complete
+function leadRefFromBody(body = {}) {
+  const id = norm(body.id ?? body.leadId);
+  if (id) return { id };
+  const email = norm(body.email);
+  const timestamp = norm(body.timestamp);
+  if (email && timestamp) return { email, timestamp };
+  return null;
+}
+
+// Index of the matching data row in `rows` (header = row 0), or -1
+function findLeadRowIndex(rows, ref) {
+  if (!rows || !rows.length || !ref) return -1;
+  const headers = rows[0];
+  if (ref.id) {
+    const idCol = findCol(headers, LEAD_ID_COLUMN);
+    if (idCol < 0) return -1;
+    return rows.findIndex((row, i) => i > 0 && norm(row[idCol]) === ref.id);
+  }
+  const emailCol = findCol(headers, 'email');
+  const timeCol = findCol(headers, 'timestamp');
+  return rows.findIndex((row, i) =>
+    i > 0 &&
+    norm(row[emailCol]).toLowerCase() === ref.email.toLowerCase() &&
+    norm(row[timeCol]) === ref.timestamp
+  );
+}
+
+function leadIdAt(rows, rowIndex) {
+  const idCol = findCol(rows[0], LEAD_ID_COLUMN);
+  return idCol >= 0 ? norm(rows[rowIndex][idCol]) || null : null;
+}
+
+// Make sure the header row has a leadId column; returns its index
+async function ensureLeadIdColumn(storage, sheet, headers) {
+  const idCol = findCol(headers, LEAD_ID_COLUMN);
+  if (idCol >= 0) return idCol;
+  const col = headers.length;
+  await storage.updateCells(sheet, [{ row: 0, col, value: LEAD_ID_COLUMN }]);
+  headers.push(LEAD_ID_COLUMN);
+  return col;
+}
+
+// Assign a UUID to every existing lead that has none yet
+async function backfillLeadIds(storage, sheet) {
+  const rows = await storage.readRows(sheet);
+  if (!rows.length) return { assigned: 0, total: 0 };
+  const idCol = await ensureLeadIdColumn(storage, sheet, rows[0]);
+  const updates = [];
+  rows.forEach((row, i) => {
+    if (i === 0 || norm(row[idCol])) return;
+    if (!row.some(v => norm(v))) return; // skip blank spacer rows
+    updates.push({ row: i, col: idCol, value: randomUUID() });
+  });
+  await storage.updateCells(sheet, updates);
+  return { assigned: updates.length, total: rows.length - 1 };
+}
+
+module.exports = {
+  LEAD_ID_COLUMN,
+  leadRefFromBody, findLeadRowIndex, leadIdAt, ensureLeadIdColumn, backfillLeadIds,
+};
@@ -0,0 +1,64 @@
+// === Lead quarantine: suspicious form submissions wait in their own tab for review ===
+// Quarantine row: quarantineId | quarantinedAt (ISO) | reasons (comma list) | ip | leadId | data (JSON of the lead record)
+// Release maps `data` into the leads tab by header name, like a trash restore.
+const { randomUUID } = require('crypto');
+const { rowsToObjects } = require('./sheetSchema');
+
+const QUARANTINE_HEADERS = ['quarantineId', 'quarantinedAt', 'reasons', 'ip', 'leadId', 'data'];
+
+function createQuarantine({ storage, sheet }) {
+  let ready = null;
+  const ensure = () => {
+    if (!ready) ready = storage.ensureSheet(sheet, QUARANTINE_HEADERS).catch(err => { ready = null; throw err; });
+    return ready;
+  };
+
+  async function add({ record, leadId, reasons, ip }) {
+    await ensure();
+    const quarantineId = randomUUID();
+    await storage.appendRows(sheet, [[
+      quarantineId, new Date().toISOString(), reasons.join(','), ip || '', leadId || '', JSON.stringify(record)
+    ]]);
+    return { quarantineId };
+  }
+
+  async function readEntries() {
+    await ensure();
+    const rows = await storage.readRows(sheet);
+    return rowsToObjects(rows).map((e, i) => ({ ...e, rowIndex: i + 1 }));
+  }
+
+  const parse = data => { try { return JSON.parse(data || '{}'); } catch (_) { return {}; } };
+
+  async function list() {
+    return (await readEntries())
+      .filter(e => e.quarantineId)
+      .map(({ rowIndex: _omit, data, reasons, ...e }) => ({ ...e, reasons: String(reasons || '').split(',').filter(Boolean), data: parse(data) }))
+      .sort((a, b) => String(b.quarantinedAt).localeCompare(String(a.quarantinedAt)));
+  }
+
+  // Takes run one at a time, so a second release of the same entry finds it gone instead of
+  // appending the lead twice
+  let queue = Promise.resolve();
+
+  // Runs handle(entry) (e.g. append to the leads tab), then drops the entry; null if unknown.
+  // handle runs first so a failed release leaves the lead in quarantine instead of losing it.
+  function take(quarantineId, handle = async () => {}) {
+    const run = queue.catch(() => {}).then(async () => {
+      const found = (await readEntries()).find(e => e.quarantineId === quarantineId);
+      if (!found) return null;
+      const entry = { quarantineId, leadId: found.leadId, reasons: String(found.reasons || '').split(',').filter(Boolean), data: parse(found.data) };
+      const result = await handle(entry);
+      // handle may have taken a while: look the row up again so the delete hits this entry
+      const current = (await readEntries()).find(e => e.quarantineId === quarantineId);
+      if (current) await storage.deleteRow(sheet, current.rowIndex);
+      return { ...entry, result };
+    });
+    queue = run;
+    return run;
+  }
+
+  return { add, list, take };
+}
+
+module.exports = { createQuarantine, QUARANTINE_HEADERS };
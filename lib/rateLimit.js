@@ -0,0 +1,63 @@
+// === Fixed-window rate limiting with pluggable counter stores ===
+// Store interface: hit(key, windowMs) -> Promise<{ count, resetAt }> (count includes this hit).
+// The in-memory store is per process; plug a shared store (e.g. Redis INCR + PEXPIRE) when running
+// more than one instance.
+
+function createMemoryStore({ sweepEvery = 1000 } = {}) {
+  const windows = new Map(); // key -> { count, resetAt }
+  let hits = 0;
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      // drop expired windows now and then so idle IPs do not pile up
+      if (++hits % sweepEvery === 0) {
+        for (const [k, w] of windows) if (w.resetAt <= now) windows.delete(k);
+      }
+      let w = windows.get(key);
+      if (!w || w.resetAt <= now) {
+        w = { count: 0, resetAt: now + windowMs };
+        windows.set(key, w);
+      }
+      w.count++;
+      return { count: w.count, resetAt: w.resetAt };
+    },
+  };
+}
+
+// Authenticated callers are counted per credential, everyone else per client IP
+function defaultKey(req) {
+  return req.auth && !req.auth.disabled ? { kind: 'key', id: String(req.auth.sub || '') } : { kind: 'ip', id: String(req.ip || '') };
+}
+
+// budget: name used in store keys; limits: { ip, key } requests per windowMs (0 = unlimited)
+function createRateLimiter({ budget, windowMs, limits, store, keyFn = defaultKey }) {
+  let proxyWarned = false;
+  return async function rateLimit(req, res, next) {
+    const who = keyFn(req);
+    const limit = Number(limits[who.kind]) || 0;
+    if (!limit) return next();
+    // Forwarded requests with 'trust proxy' off are all keyed by the proxy's address
+    if (who.kind === 'ip' && !proxyWarned && req.headers['x-forwarded-for'] && !req.app?.get('trust proxy')) {
+      proxyWarned = true;
+      console.warn(`[rateLimit:${budget}] request came through a proxy but TRUST_PROXY is not set; all clients share one IP limit`);
+    }
+    let result;
+    try {
+      result = await store.hit(`${budget}:${who.kind}:${who.id}`, windowMs);
+    } catch (err) {
+      // A broken shared store should not take the API down with it
+      console.warn(`[rateLimit:${budget}] store error, allowing request:`, String(err.message || err));
+      return next();
+    }
+    const resetSec = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(0, limit - result.count)));
+    res.set('RateLimit-Reset', String(resetSec));
+    if (result.count <= limit) return next();
+    res.set('Retry-After', String(resetSec || 1));
+    res.status(429).json({ error: 'Too many requests', budget, retryAfter: resetSec || 1 });
+  };
+}
+
+module.exports = { createMemoryStore, createRateLimiter };
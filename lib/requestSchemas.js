@@ -0,0 +1,253 @@
+// === Request schemas per route (enforced by lib/validate.js) ===
+// Status columns are free text unless a deployment pins its vocabulary with a comma list in
+// LEAD_STATUS1_VALUES / LEAD_STATUS2_VALUES / PAYMENT_STATUS_VALUES / CONFIRMATION_VALUES / TASK_STATUS_VALUES.
+
+const { FORM_TOKEN_FIELD, HONEYPOT_FIELDS } = require('./spamGuard');
+
+const range10 = fn => Array.from({ length: 10 }, (_, i) => fn(i + 1));
+const envList = name => String(process.env[name] || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// [] = any value (the sheet's existing statuses stay writable)
+const STATUS = {
+  lead1: envList('LEAD_STATUS1_VALUES'),
+  lead2: envList('LEAD_STATUS2_VALUES'),
+  payment: envList('PAYMENT_STATUS_VALUES'),
+  confirmation: envList('CONFIRMATION_VALUES'),
+  task: envList('TASK_STATUS_VALUES'),
+};
+
+const str = (maxLength = 2000) => ({ type: 'string', maxLength });
+const status = values => (values.length ? { type: 'string', maxLength: 200, enum: values } : str(200));
+const TEXT = str(50000);
+const NUM = { type: 'number', min: 0, max: 1e9 };
+const HOURS = { type: 'number', min: 0, max: 100000 };
+const DATE = { type: 'date' };
+const CHAT = { type: ['string', 'array'] };
+const pick = (fields, names) => Object.fromEntries(names.map(n => [n, fields[n]]));
+
+// sp/hours/rate(quantity)/cost(summ)/cv per specialist slot
+const SPECIALIST_FIELDS = Object.assign({}, ...range10(i => ({
+  [`sp${i}`]: str(200),
+  [`hours${i}`]: HOURS,
+  [`quantity${i}`]: NUM,
+  [`rate${i}`]: NUM,
+  [`summ${i}`]: NUM,
+  [`cost${i}`]: NUM,
+  [`spcv${i}`]: str(),
+})));
+const SPECIALIST_NAMES = Object.keys(SPECIALIST_FIELDS);
+
+const LEAD_FIELDS = {
+  name: str(200), email: { type: 'email' }, partner: str(200), TeamName: str(200),
+  Status1: status(STATUS.lead1),
+  Status2: status(STATUS.lead2),
+  'Payment status': status(STATUS.payment),
+  Textarea: TEXT, Brief: TEXT, Documents: TEXT, Link: str(), nda: str(),
+  startDate: DATE, anticipated_project_start_date: DATE, month: str(50),
+  totalsumm: NUM, X1Q: str(), XXX: str(),
+  industrymarket_expertise: str(), Type: str(), Type2: str(),
+  Partner_confirmation: str(200),
+  Confirmation: status(STATUS.confirmation),
+  PConfirmation: status(STATUS.confirmation),
+  Chat: CHAT, ClientChat: CHAT, PartnerChat: CHAT, ManagerChat: CHAT,
+  ...SPECIALIST_FIELDS,
+};
+
+// What each role may change on a lead (managers: everything in LEAD_FIELDS)
+const LEAD_WRITABLE = {
+  client: ['name', 'Textarea', 'Brief', 'Documents', 'Link', 'nda', 'startDate', 'anticipated_project_start_date', 'Chat', 'ClientChat'],
+  partner: [...SPECIALIST_NAMES, 'totalsumm', 'month', 'Status2', 'Partner_confirmation', 'PConfirmation', 'Documents', 'Link', 'Chat', 'PartnerChat'],
+  manager: '*',
+};
+
+// /updateTeam accepts several spellings for the current / new team name (matching is case-insensitive,
+// so TeamName also covers teamName / teamname)
+const TEAM_NAME_KEYS = ['currentTeamName', 'TeamName_old', 'oldTeamName', 'newTeamName', 'teamNameNew', 'team_name_new'];
+const TEAM_FIELDS = {
+  TeamName: str(200), ...Object.fromEntries(TEAM_NAME_KEYS.map(k => [k, str(200)])),
+  Type: str(), Type2: str(), Textarea: TEXT, industrymarket_expertise: str(),
+  Status1: status(STATUS.lead1),
+  Status2: status(STATUS.lead2),
+  PaymentStatus: status(STATUS.payment),
+  partner: str(200), Partner_confirmation: str(200),
+  anticipated_project_start_date: DATE, startDate: DATE, month: str(50),
+  totalsumm: NUM, XX: str(), X1Q: str(), XXX: str(),
+  Brief: TEXT, Chat: CHAT, Documents: TEXT, nda: str(), Link: str(), slug: { type: 'string', maxLength: 200, pattern: /^[a-z0-9-]*$/ },
+  ...SPECIALIST_FIELDS,
+};
+const TEAM_WRITABLE = {
+  partner: ['TeamName', ...TEAM_NAME_KEYS, 'Type', 'Type2', 'Textarea', 'industrymarket_expertise', 'anticipated_project_start_date',
+    'startDate', 'month', 'totalsumm', 'Brief', 'Chat', 'Documents', 'nda', 'Link', ...SPECIALIST_NAMES],
+  manager: '*',
+};
+
+const TASK_FIELDS = {
+  projectid: str(200), title: str(500), description: TEXT, link: str(), link2: str(),
+  start: DATE, end: DATE,
+  status: status(STATUS.task),
+  priority: str(50),
+  ...Object.fromEntries(range10(i => [`hr${i}`, HOURS])),
+};
+const TASK_HOURS = range10(i => `hr${i}`);
+// Partners log their work on a task; priority (and, once created, title and schedule) stay with managers
+const TASK_CREATE_WRITABLE = {
+  partner: ['title', 'description', 'link', 'link2', 'start', 'end', 'status', ...TASK_HOURS],
+  manager: '*',
+};
+const TASK_PATCH_WRITABLE = {
+  partner: ['description', 'link', 'link2', 'status', ...TASK_HOURS],
+  manager: '*',
+};
+
+// Lead lookup used by the PATCH routes: id/leadId or legacy email+timestamp
+const LEAD_REF = { id: str(200), leadId: str(200), email: { type: 'email' }, timestamp: str(100) };
+const LEAD_REF_ANY_OF = [['id'], ['leadId'], ['email', 'timestamp']];
+
+const ORDER_FILTERS = { email: str(200), type: str(), type2: str(), confirmed: { type: 'boolean' } };
+// Faceted search filters (lib/searchFacets.js); GET takes them as flat query params
+const LIST = { type: ['string', 'array'], items: str(200) };
+const SEARCH_FILTERS = {
+  type: LIST, type2: LIST, role: LIST, partnerConfirmed: { type: 'boolean' },
+  budgetMin: { type: 'number', min: 0 }, budgetMax: { type: 'number', min: 0 },
+};
+// Response format opt-in (lib/envelope.js); the X-API-Version header does the same
+const VERSION = { v: str(10) };
+const PAGING = { limit: { type: 'integer', min: 1, max: 1000 }, page_size: { type: 'integer', min: 1, max: 1000 }, cursor: str(500) };
+
+// Lead status columns older public forms still post; never taken from the anonymous lead form
+const ADD_ORDER_IGNORED_FIELDS = ['Status1', 'Status2', 'Payment status', 'Partner_confirmation', 'Confirmation', 'PConfirmation'];
+
+const schemas = {
+  // --- public catalog / search ---
+  orders: { query: { fields: { ...ORDER_FILTERS, ...VERSION } } },
+  ordersPaged: { query: { fields: { ...ORDER_FILTERS, ...PAGING, ...VERSION } } },
+  searchGet: {
+    query: {
+      fields: {
+        q: str(500), limit: { type: 'integer', min: 1, max: 1000 }, profile: str(100), facets: { type: 'boolean' },
+        explain: { type: 'boolean' }, ...SEARCH_FILTERS, ...VERSION,
+      },
+    },
+  },
+  searchPost: {
+    query: { fields: VERSION },
+    body: {
+      fields: {
+        q: str(500), limit: { type: 'integer', min: 1, max: 1000 }, profile: str(100), facets: { type: 'boolean' },
+        explain: { type: 'boolean' }, filters: { type: 'object', fields: SEARCH_FILTERS },
+      },
+    },
+  },
+  searchPaged: {
+    query: { fields: VERSION },
+    body: {
+      fields: { q: str(500), ...PAGING, profile: str(100), explain: { type: 'boolean' }, filters: { type: 'object', fields: SEARCH_FILTERS } },
+    },
+  },
+  suggest: { query: { fields: { q: str(100), limit: { type: 'integer', min: 1, max: 1000 }, kinds: str(100), ...VERSION } } },
+  teamSimilar: { query: { fields: { limit: { type: 'integer', min: 1, max: 1000 } } } },
+  searchClick: {
+    body: {
+      fields: {
+        searchId: str(100), team: str(300), position: { type: 'integer', min: 1 },
+        feedback: { type: 'string', enum: ['helpful', 'not_helpful'] },
+      },
+      required: ['searchId', 'team'],
+    },
+  },
+  searchAnalytics: { query: { fields: { from: DATE, to: DATE, limit: { type: 'integer', min: 1, max: 5000 } } } },
+  searchExpand: { query: { fields: { q: str(500), profile: str(100) }, required: ['q'] } },
+  // crawlable HTML page: stray query params must not turn into 400s
+  teamsCatalog: { query: { fields: { page: { type: 'integer', min: 1 }, size: { type: 'integer', min: 1, max: 1000 } }, allowUnknown: true } },
+
+  // --- leads ---
+  addOrder: {
+    body: {
+      fields: {
+        ...pick(LEAD_FIELDS, ['name', 'email', 'partner', 'Textarea', 'Brief', 'Documents', 'Link', 'nda', 'startDate',
+          'anticipated_project_start_date', 'industrymarket_expertise', 'Type', 'Type2', 'month', 'totalsumm',
+          // the public form has always posted these (usually empty)
+          'X1Q', 'Chat']),
+        // ...and these status columns, which only staff routes may set: accepted, then dropped by /addOrder
+        ...Object.fromEntries(ADD_ORDER_IGNORED_FIELDS.map(f => [f, str(200)])),
+        teamName: str(200), TeamName: str(200),
+        specialists: {
+          type: 'array',
+          items: { fields: { sp: str(200), hours: HOURS, rate: NUM, quantity: NUM, cost: NUM } },
+        },
+        ...SPECIALIST_FIELDS,
+        // spam checks: accepted here so bots are quarantined rather than told what tripped them
+        [FORM_TOKEN_FIELD]: str(500), ...Object.fromEntries(HONEYPOT_FIELDS.map(f => [f, str(5000)])),
+      },
+      required: ['email'],
+    },
+  },
+  leadsList: { query: { fields: { email: str(200), partner: str(200), confirmed: { type: 'boolean' }, ...VERSION } } },
+  leadPatch: { body: { fields: LEAD_FIELDS }, writable: LEAD_WRITABLE },
+  confirm: { body: { fields: LEAD_REF, anyOf: LEAD_REF_ANY_OF, keys: Object.keys(LEAD_REF) } },
+  updatePConfirmation: {
+    body: { fields: { ...LEAD_REF, newValue: LEAD_FIELDS.PConfirmation }, required: ['newValue'], anyOf: LEAD_REF_ANY_OF, keys: Object.keys(LEAD_REF) },
+  },
+  updateStatus2: {
+    body: { fields: { ...LEAD_REF, newValue: LEAD_FIELDS.Status2 }, required: ['newValue'], anyOf: LEAD_REF_ANY_OF, keys: Object.keys(LEAD_REF) },
+  },
+  deleteOrder: { body: { fields: LEAD_REF, anyOf: LEAD_REF_ANY_OF, keys: Object.keys(LEAD_REF) } },
+  // Only hours / rates / costs and their totals; status and payment columns go through their own routes
+  updateOrderHours: {
+    body: {
+      fields: { ...LEAD_REF, ...SPECIALIST_FIELDS, totalsumm: NUM, month: str(50) },
+      anyOf: LEAD_REF_ANY_OF,
+      keys: Object.keys(LEAD_REF),
+    },
+  },
+
+  // --- teams ---
+  updateTeam: { body: { fields: { ...TEAM_FIELDS, timestamp: str(100) }, required: ['timestamp'], keys: ['timestamp'] }, writable: TEAM_WRITABLE },
+  addTeam: { body: { fields: { ...TEAM_FIELDS, timestamp: str(100) }, required: ['TeamName'], keys: ['timestamp'] }, writable: TEAM_WRITABLE },
+  teamsImport: { query: { fields: { dryRun: { type: 'string', enum: ['1', '0', 'true', 'false', 'yes', 'no'] } } } },
+  teamRevisions: { query: { fields: { timestamp: str(100), slug: str(200) } } },
+  teamRevisionsDiff: { query: { fields: { timestamp: str(100), slug: str(200), from: { type: 'integer', min: 1 }, to: { type: 'integer', min: 1 } }, required: ['from'] } },
+  revertTeam: { body: { fields: { timestamp: str(100), slug: str(200), revision: { type: 'integer', min: 1 } }, required: ['revision'] } },
+
+  // --- tasks ---
+  tasksList: { query: { fields: { projectid: str(200), start: DATE, end: DATE } } },
+  taskCreate: { body: { fields: TASK_FIELDS, required: ['projectid', 'title', 'start', 'end'], keys: ['projectid'] }, writable: TASK_CREATE_WRITABLE },
+  taskPatch: { body: { fields: TASK_FIELDS, required: ['projectid'], keys: ['projectid'] }, writable: TASK_PATCH_WRITABLE },
+  taskDelete: { query: { fields: { projectid: str(200) }, required: ['projectid'] } },
+
+  // --- admin / reporting ---
+  exportQuery: {
+    query: {
+      fields: {
+        format: { type: 'string', enum: ['csv', 'xlsx'] }, columns: str(5000),
+        ...ORDER_FILTERS, partner: str(200), projectid: str(200), start: DATE, end: DATE,
+      },
+    },
+  },
+  audit: {
+    query: {
+      fields: {
+        record: str(500), field: str(200), since: DATE, source: str(50), route: str(200), actor: str(200),
+        limit: { type: 'integer', min: 1, max: 5000 },
+      },
+    },
+  },
+  trashList: { query: { fields: { source: { type: 'string', enum: ['leads', 'tasks'] } } } },
+  trashPurge: { body: { fields: { olderThanDays: { type: 'number', min: 0 } } } },
+  authToken: {
+    body: {
+      fields: {
+        role: { type: 'string', enum: ['client', 'partner', 'manager', 'admin'] }, email: { type: 'email' }, partner: str(200), sub: str(200),
+        ttlHours: { type: 'number', min: 0, max: 24 * 90 },
+      },
+      required: ['role'],
+    },
+  },
+  embeddingConfig: {
+    body: { fields: { model: str(200), dim: { type: 'integer', min: 16, max: 4096 }, recreate: { type: 'boolean' }, confirm: str(200) } },
+  },
+  vectorsRecreate: { body: { fields: { confirm: str(200) } } },
+  indexVectors: { body: { fields: { background: { type: 'boolean' } } } },
+};
+
+module.exports = { schemas, STATUS, ADD_ORDER_IGNORED_FIELDS };
@@ -0,0 +1,170 @@
+// === Search analytics: local JSON Lines store of searches and result clicks ===
+// One file per UTC day (<dir>/search-YYYY-MM-DD.jsonl) so a report only reads the days it covers and
+// retention is a file delete. Events:
+//   { type: 'search', id, ts, route, q, profile, filters, count, topIds, latencyMs, mode }
+//   { type: 'click', ts, searchId, q, team, position, feedback }
+// Only the normalized query is kept (no raw text, no IPs). Writes never throw into the request path.
+// Clicks are only logged for a search this process served within recentMs (at most
+// maxClicksPerSearch each), so the public click endpoint cannot be used to stuff the report.
+const fsp = require('fs/promises');
+const nodePath = require('path');
+const { randomUUID } = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_REPORT_DAYS = 92;
+
+const dayOf = ts => new Date(ts).toISOString().slice(0, 10);
+
+function createSearchAnalytics({ dir, retentionDays = 90, recentMs = DAY_MS, maxRecent = 20000, maxClicksPerSearch = 20 }) {
+  const enabled = Boolean(dir);
+  const baseDir = enabled ? nodePath.resolve(dir) : '';
+  const fileFor = day => nodePath.join(baseDir, `search-${day}.jsonl`);
+  // One append chain so events from concurrent requests never interleave within a line
+  let queue = Promise.resolve();
+  let lastDay = null;
+  const recent = new Map(); // search id -> { q, ts, clicks }, oldest first
+
+  function append(event) {
+    if (!enabled) return Promise.resolve();
+    const line = `${JSON.stringify(event)}\n`;
+    const day = dayOf(event.ts);
+    queue = queue.then(async () => {
+      if (day !== lastDay) {
+        await fsp.mkdir(baseDir, { recursive: true });
+        lastDay = day;
+        purge().catch(err => console.warn('[searchAnalytics] purge failed:', String(err.message || err)));
+      }
+      await fsp.appendFile(fileFor(day), line);
+    }).catch(err => console.warn('[searchAnalytics] write failed:', String(err.message || err)));
+    return queue;
+  }
+
+  // Drops day files older than retentionDays (0 keeps everything)
+  async function purge(now = Date.now()) {
+    if (!enabled || !(retentionDays > 0)) return { purged: 0 };
+    const cutoff = dayOf(now - retentionDays * DAY_MS);
+    const files = await fsp.readdir(baseDir).catch(() => []);
+    const old = files.filter(f => /^search-\d{4}-\d{2}-\d{2}\.jsonl$/.test(f) && f.slice(7, 17) < cutoff);
+    await Promise.all(old.map(f => fsp.unlink(nodePath.join(baseDir, f)).catch(() => {})));
+    return { purged: old.length };
+  }
+
+  // -> search id for click attribution (null when analytics is off)
+  function recordSearch({ route, q, profile, filters = null, count, topIds = [], latencyMs, mode }) {
+    if (!enabled) return null;
+    const id = randomUUID();
+    const now = Date.now();
+    recent.set(id, { q, ts: now, clicks: 0 });
+    for (const [key, s] of recent) {
+      if (recent.size <= maxRecent && now - s.ts <= recentMs) break;
+      recent.delete(key);
+    }
+    append({ type: 'search', id, ts: new Date().toISOString(), route, q, profile, filters, count, topIds, latencyMs, mode });
+    return id;
+  }
+
+  // -> false when the click was ignored (unknown or expired searchId, or too many clicks on it)
+  async function recordClick({ searchId, team, position = null, feedback = '' }) {
+    const search = recent.get(searchId);
+    if (!search || Date.now() - search.ts > recentMs || search.clicks >= maxClicksPerSearch) return false;
+    search.clicks++;
+    await append({ type: 'click', ts: new Date().toISOString(), searchId, q: search.q, team, position, feedback });
+    return true;
+  }
+
+  async function readDay(day) {
+    let text;
+    try {
+      text = await fsp.readFile(fileFor(day), 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+    const events = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try { events.push(JSON.parse(line)); } catch (_) { /* torn line from a crash; skip */ }
+    }
+    return events;
+  }
+
+  // Per-query stats over [from, to] (inclusive UTC days). CTR = searches with at least one opened
+  // result / searches; clicks whose search falls outside the range count towards their query's clicks only.
+  async function report({ from, to, limit = 50 } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 6 * DAY_MS);
+    if (start > end) throw Object.assign(new Error('from must not be after to'), { status: 400 });
+    const days = Math.floor((Date.parse(dayOf(end)) - Date.parse(dayOf(start))) / DAY_MS) + 1;
+    if (days > MAX_REPORT_DAYS) throw Object.assign(new Error(`Date range is limited to ${MAX_REPORT_DAYS} days`), { status: 400 });
+
+    const events = [];
+    for (let i = 0; i < days; i++) {
+      if (enabled) events.push(...await readDay(dayOf(start.getTime() + i * DAY_MS)));
+    }
+
+    const byQuery = new Map();
+    const stat = q => {
+      if (!byQuery.has(q)) {
+        byQuery.set(q, { q, searches: 0, zeroResults: 0, clickedSearches: 0, clicks: 0, helpful: 0, notHelpful: 0, latencyMs: 0, results: 0, lastSeen: null });
+      }
+      return byQuery.get(q);
+    };
+    const queryOfSearch = new Map();
+    for (const e of events) {
+      if (e.type !== 'search') continue;
+      const s = stat(e.q);
+      s.searches++;
+      if (!e.count) s.zeroResults++;
+      s.latencyMs += Number(e.latencyMs) || 0;
+      s.results += Number(e.count) || 0;
+      if (!s.lastSeen || e.ts > s.lastSeen) s.lastSeen = e.ts;
+      queryOfSearch.set(e.id, e.q);
+    }
+    const clicked = new Set();
+    let clicks = 0;
+    for (const e of events) {
+      if (e.type !== 'click') continue;
+      const q = (e.searchId && queryOfSearch.get(e.searchId)) || e.q;
+      if (!q) continue;
+      const s = stat(q);
+      if (e.feedback === 'helpful') s.helpful++;
+      else if (e.feedback === 'not_helpful') s.notHelpful++;
+      else {
+        s.clicks++;
+        clicks++;
+        if (e.searchId && queryOfSearch.has(e.searchId) && !clicked.has(e.searchId)) {
+          clicked.add(e.searchId);
+          s.clickedSearches++;
+        }
+      }
+    }
+
+    const rows = [...byQuery.values()].filter(s => s.searches).map(({ latencyMs, results, ...s }) => ({
+      ...s,
+      ctr: Number((s.clickedSearches / s.searches).toFixed(3)),
+      avgLatencyMs: Math.round(latencyMs / s.searches),
+      avgResults: Number((results / s.searches).toFixed(1)),
+    }));
+    const searches = rows.reduce((n, s) => n + s.searches, 0);
+    const zeroResults = rows.reduce((n, s) => n + s.zeroResults, 0);
+    const latency = rows.reduce((n, s) => n + s.avgLatencyMs * s.searches, 0);
+    return {
+      enabled,
+      from: dayOf(start), to: dayOf(end),
+      totals: {
+        searches, zeroResults, clicks, queries: rows.length,
+        ctr: searches ? Number((clicked.size / searches).toFixed(3)) : null,
+        avgLatencyMs: searches ? Math.round(latency / searches) : null,
+      },
+      topQueries: [...rows].sort((a, b) => b.searches - a.searches || a.q.localeCompare(b.q)).slice(0, limit),
+      zeroResultQueries: rows.filter(s => s.zeroResults)
+        .sort((a, b) => b.zeroResults - a.zeroResults || a.q.localeCompare(b.q))
+        .slice(0, limit)
+        .map(({ q, zeroResults, searches, lastSeen }) => ({ q, zeroResults, searches, lastSeen })),
+    };
+  }
+
+  return { enabled, recordSearch, recordClick, report, purge };
+}
+
+module.exports = { createSearchAnalytics };
@@ -0,0 +1,181 @@
+// === Search dictionary: synonyms and query intents, editable without a deploy ===
+// One entry per intent (sheet tab row or JSON array element):
+//   intent   unique name; ranking profiles can override its weights under anchors.<intent>
+//   triggers query terms / phrases that switch the intent on (matched on whole words of the normalized query)
+//   synonyms spellings rewritten to the first trigger before the query is normalized ("ci/cd" -> "ci cd")
+//   tags     canonical Type/Type2 tags: items carrying one gain `boost`, the others lose `penalty`
+//   prefer   softer terms: one profile.weights.prefer boost when Type/Type2/Textarea mention any
+//   enabled  "false" / "no" / "0" switches the entry off
+// Lists are CSV cells in the sheet, arrays or CSV strings in JSON. Malformed entries are skipped and
+// reported (GET /search/dictionary); a source that fails to load keeps the last good dictionary.
+const fs = require('fs');
+const { createSheetCache } = require('./sheetCache');
+const { rowsToObjects } = require('./sheetSchema');
+
+const DICTIONARY_HEADERS = ['intent', 'triggers', 'synonyms', 'tags', 'boost', 'penalty', 'prefer', 'enabled'];
+
+const CI_TERMS = ['ci', 'cicd', 'ci/cd', 'pipeline', 'monorepo', 'github actions', 'gitlab', 'jenkins', 'circleci'];
+
+// The rules search shipped with; also seeds an empty dictionary tab
+const DEFAULT_DICTIONARY = [
+  { intent: 'seo', triggers: ['seo', 'technical seo'],
+    tags: ['seo', 'technical seo', 'on-page seo', 'link building', 'content seo'], boost: 0.12, penalty: 0.22 },
+  { intent: 'pr', triggers: ['pr', 'public relations'],
+    tags: ['pr', 'public relations', 'media relations'], boost: 0.10, penalty: 0.18,
+    prefer: ['pr', 'public relations', 'media relations'] },
+  { intent: 'cicd', triggers: ['ci cd'], synonyms: ['ci/cd', 'cicd'],
+    tags: ['ci/cd', 'ci cd', 'cicd', 'ci', 'cd'], boost: 0.10, penalty: 0.18 },
+  { intent: 'pipeline', triggers: ['ci', 'pipeline'], prefer: CI_TERMS },
+  { intent: 'marketing', triggers: ['marketing', 'strategy'],
+    prefer: ['marketing', 'digital strategy', 'content', 'seo', 'brand strategy', 'go-to-market'] },
+];
+
+const list = v => (Array.isArray(v) ? v : String(v ?? '').split(',')).map(s => String(s).trim().toLowerCase()).filter(Boolean);
+// Same word split as the query side, so "Public-Relations" and "public relations" match alike
+const words = s => String(s || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).join(' ');
+const escapeRegExp = s => String(s || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const isOff = v => v === false || ['false', 'no', '0', 'off'].includes(String(v ?? '').trim().toLowerCase());
+
+function weight(v, label) {
+  if (v === undefined || v === null || v === '') return 0;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) throw new Error(`${label} must be a non-negative number`);
+  return n;
+}
+
+// entries -> { intents, synonyms, errors, rewrite(raw), match(q) }
+function compileDictionary(entries) {
+  const intents = [];
+  const synonyms = [];
+  const errors = [];
+  const seen = new Set();
+  (entries || []).forEach((e, i) => {
+    const name = String(e?.intent || '').trim().toLowerCase();
+    try {
+      if (!name) throw new Error('intent is required');
+      if (seen.has(name)) throw new Error(`duplicate intent "${name}"`);
+      if (isOff(e.enabled)) return;
+      const triggers = list(e.triggers).map(words).filter(Boolean);
+      if (!triggers.length) throw new Error('at least one trigger is required');
+      const intent = {
+        name,
+        triggers,
+        synonyms: list(e.synonyms),
+        tags: list(e.tags),
+        boost: weight(e.boost, 'boost'),
+        penalty: weight(e.penalty, 'penalty'),
+        prefer: list(e.prefer),
+      };
+      seen.add(name);
+      intents.push(intent);
+      for (const from of intent.synonyms) {
+        synonyms.push({ from, to: triggers[0], re: new RegExp(`(^|[^a-z0-9])${escapeRegExp(from)}(?=$|[^a-z0-9])`, 'g') });
+      }
+    } catch (err) {
+      errors.push({ entry: i + 1, intent: name || null, error: err.message });
+    }
+  });
+  // Longest first so "ci/cd pipeline" is not half-rewritten by "ci/cd"
+  synonyms.sort((a, b) => b.from.length - a.from.length);
+
+  // Raw query -> { text, applied: [{ from, to }] }
+  function rewrite(raw) {
+    let text = String(raw || '').toLowerCase();
+    const applied = [];
+    for (const s of synonyms) {
+      const next = text.replace(s.re, (_, lead) => `${lead}${s.to}`);
+      if (next !== text) applied.push({ from: s.from, to: s.to });
+      text = next;
+    }
+    return { text, applied };
+  }
+
+  // Normalized query -> [{ ...intent, trigger }] for every intent with a trigger in it
+  function match(q) {
+    const padded = ` ${words(q)} `;
+    const out = [];
+    for (const intent of intents) {
+      const trigger = intent.triggers.find(t => padded.includes(` ${t} `));
+      if (trigger) out.push({ ...intent, trigger });
+    }
+    return out;
+  }
+
+  return { intents, synonyms: synonyms.map(({ from, to }) => ({ from, to })), errors, rewrite, match };
+}
+
+function toRow(entry) {
+  return DICTIONARY_HEADERS.map(h => {
+    const v = entry[h];
+    if (Array.isArray(v)) return v.join(', ');
+    if (v === undefined || v === null) return h === 'enabled' ? 'true' : '';
+    return String(v);
+  });
+}
+
+// Sheet source: creates the tab on first use and seeds it with DEFAULT_DICTIONARY while it is empty
+function sheetDictionarySource({ storage, sheet }) {
+  return async () => {
+    await storage.ensureSheet(sheet, DICTIONARY_HEADERS);
+    const rows = await storage.readRows(sheet);
+    if (rows.length <= 1) {
+      await storage.appendRows(sheet, DEFAULT_DICTIONARY.map(toRow));
+      return DEFAULT_DICTIONARY;
+    }
+    return rowsToObjects(rows).filter(e => Object.values(e).some(v => String(v ?? '').trim()));
+  };
+}
+
+// JSON source: an array of entries, or { "entries": [...] }
+function fileDictionarySource(file) {
+  return async () => {
+    const raw = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    const entries = Array.isArray(raw) ? raw : raw?.entries;
+    if (!Array.isArray(entries)) throw new Error(`${file}: expected an array of dictionary entries`);
+    return entries;
+  };
+}
+
+// Hot-reloaded dictionary: get() re-reads the source once ttlMs has passed (in the background while a
+// dictionary is loaded) and never throws; until the first successful load the defaults apply.
+function createSearchDictionary({ source, load, ttlMs = 60 * 1000 }) {
+  let current = compileDictionary(DEFAULT_DICTIONARY);
+  let loadedAt = null;
+  let lastError = null;
+  const cache = createSheetCache({ name: 'searchDictionary', load, ttlMs, staleMs: ttlMs * 10 });
+  cache.onRefresh(entries => {
+    current = compileDictionary(entries);
+    loadedAt = new Date().toISOString();
+    lastError = null;
+    if (current.errors.length) console.warn(`[searchDictionary] skipped ${current.errors.length} malformed entr${current.errors.length === 1 ? 'y' : 'ies'}`);
+  });
+
+  async function get() {
+    try {
+      await cache.get();
+    } catch (e) {
+      lastError = String(e.message || e);
+      console.warn('[searchDictionary] load failed, keeping the previous dictionary:', lastError);
+    }
+    return current;
+  }
+
+  async function reload() {
+    cache.invalidate();
+    return get();
+  }
+
+  function status() {
+    return {
+      source, loadedAt, lastError,
+      intents: current.intents, synonyms: current.synonyms, errors: current.errors,
+    };
+  }
+
+  return { get, reload, status };
+}
+
+module.exports = {
+  DICTIONARY_HEADERS, DEFAULT_DICTIONARY,
+  compileDictionary, createSearchDictionary, sheetDictionarySource, fileDictionarySource,
+};
@@ -0,0 +1,163 @@
+// === Faceted filters for semantic search ===
+// Teams are indexed with a normalized copy of their facet fields under payload._facets:
+//   { type: [tag], type2: [tag], roles: [sp1..sp10], confirmed: bool, budget: number | null }
+// (tags lower-cased, from the Type / Type2 CSV cells), so filters become exact Qdrant payload
+// conditions instead of substring guesses. Points indexed before _facets existed do not match any
+// Qdrant filter; search falls back to matchesFilters for them until POST /indexVectors runs again.
+// Filters: { type, type2, role } (lists or CSV; any value matches), partnerConfirmed (bool),
+// budgetMin / budgetMax (inclusive). Different facets are ANDed.
+
+const FACET_KEY = '_facets';
+
+const lc = v => String(v ?? '').trim().toLowerCase();
+const csv = v => (Array.isArray(v) ? v : String(v ?? '').split(',')).map(s => String(s).trim()).filter(Boolean);
+const num = v => {
+  const n = Number(String(v ?? '').replace(/[^\d.\-]/g, ''));
+  return Number.isFinite(n) ? n : 0;
+};
+
+// Budget: the team's totalsumm, else the sum of its per-specialist costs (summN)
+function teamBudget(team) {
+  const total = num(team.totalsumm);
+  if (total > 0) return total;
+  let sum = 0;
+  for (let i = 1; i <= 10; i++) sum += num(team[`summ${i}`]);
+  return sum > 0 ? sum : null;
+}
+
+function teamRoles(team) {
+  const roles = [];
+  for (let i = 1; i <= 10; i++) {
+    const r = String(team[`sp${i}`] || '').trim();
+    if (r) roles.push(r);
+  }
+  return roles;
+}
+
+function facetValues(team) {
+  return {
+    type: [...new Set(csv(team.Type).map(lc))],
+    type2: [...new Set(csv(team.Type2).map(lc))],
+    roles: [...new Set(teamRoles(team).map(lc))],
+    confirmed: Boolean(String(team.Partner_confirmation || '').trim()),
+    budget: teamBudget(team),
+  };
+}
+
+// Payload for Qdrant upserts; the search side strips it again with stripFacetPayload
+const withFacetPayload = team => ({ ...team, [FACET_KEY]: facetValues(team) });
+function stripFacetPayload(payload) {
+  if (!payload || !(FACET_KEY in payload)) return payload;
+  const { [FACET_KEY]: _omit, ...rest } = payload;
+  return rest;
+}
+
+// Keyword / bool / float indexes so filtered searches stay fast on larger collections
+const FACET_INDEXES = [
+  { field_name: `${FACET_KEY}.type`, field_schema: 'keyword' },
+  { field_name: `${FACET_KEY}.type2`, field_schema: 'keyword' },
+  { field_name: `${FACET_KEY}.roles`, field_schema: 'keyword' },
+  { field_name: `${FACET_KEY}.confirmed`, field_schema: 'bool' },
+  { field_name: `${FACET_KEY}.budget`, field_schema: 'float' },
+];
+
+const truthy = v => v === true || ['true', '1', 'yes'].includes(lc(v));
+const optNumber = v => (v === undefined || v === null || v === '' ? null : Number(v));
+
+// Request params -> normalized filters, or null when nothing is filtered; throws 400 on bad ranges
+function parseFilters(src = {}) {
+  const f = {
+    type: csv(src.type).map(lc),
+    type2: csv(src.type2).map(lc),
+    role: csv(src.role).map(lc),
+    partnerConfirmed: truthy(src.partnerConfirmed),
+    budgetMin: optNumber(src.budgetMin),
+    budgetMax: optNumber(src.budgetMax),
+  };
+  for (const k of ['budgetMin', 'budgetMax']) {
+    if (f[k] !== null && !Number.isFinite(f[k])) throw Object.assign(new Error(`${k} must be a number`), { status: 400 });
+  }
+  if (f.budgetMin !== null && f.budgetMax !== null && f.budgetMin > f.budgetMax) {
+    throw Object.assign(new Error('budgetMin must not exceed budgetMax'), { status: 400 });
+  }
+  const active = f.type.length || f.type2.length || f.role.length || f.partnerConfirmed || f.budgetMin !== null || f.budgetMax !== null;
+  return active ? f : null;
+}
+
+function toQdrantFilter(f) {
+  if (!f) return null;
+  const must = [];
+  if (f.type.length) must.push({ key: `${FACET_KEY}.type`, match: { any: f.type } });
+  if (f.type2.length) must.push({ key: `${FACET_KEY}.type2`, match: { any: f.type2 } });
+  if (f.role.length) must.push({ key: `${FACET_KEY}.roles`, match: { any: f.role } });
+  if (f.partnerConfirmed) must.push({ key: `${FACET_KEY}.confirmed`, match: { value: true } });
+  if (f.budgetMin !== null || f.budgetMax !== null) {
+    const range = {};
+    if (f.budgetMin !== null) range.gte = f.budgetMin;
+    if (f.budgetMax !== null) range.lte = f.budgetMax;
+    must.push({ key: `${FACET_KEY}.budget`, range });
+  }
+  return { must };
+}
+
+// Same semantics as toQdrantFilter, for results that did not come from Qdrant
+function matchesFilters(team, f) {
+  if (!f) return true;
+  const v = facetValues(team);
+  const any = (have, want) => !want.length || want.some(w => have.includes(w));
+  if (!any(v.type, f.type) || !any(v.type2, f.type2) || !any(v.roles, f.role)) return false;
+  if (f.partnerConfirmed && !v.confirmed) return false;
+  if (f.budgetMin !== null && (v.budget === null || v.budget < f.budgetMin)) return false;
+  if (f.budgetMax !== null && (v.budget === null || v.budget > f.budgetMax)) return false;
+  return true;
+}
+
+const BUDGET_BUCKETS = [
+  { key: '<5000', max: 5000 },
+  { key: '5000-10000', min: 5000, max: 10000 },
+  { key: '10000-25000', min: 10000, max: 25000 },
+  { key: '25000-50000', min: 25000, max: 50000 },
+  { key: '50000+', min: 50000 },
+];
+
+// Facet counts over the ranked candidates of the current query (after filters and dedupe).
+// Values keep the casing of their first occurrence; lists are sorted by count, then value.
+function facetCounts(items, { top = 30 } = {}) {
+  const lists = { type: new Map(), type2: new Map(), role: new Map() };
+  const bump = (map, value) => {
+    const key = lc(value);
+    const cur = map.get(key);
+    if (cur) cur.count++;
+    else map.set(key, { value: String(value).trim(), count: 1 });
+  };
+  const budget = Object.fromEntries(BUDGET_BUCKETS.map(b => [b.key, 0]));
+  let confirmed = 0;
+  let min = null, max = null;
+  for (const it of items) {
+    new Map(csv(it.Type).map(t => [lc(t), t])).forEach(t => bump(lists.type, t));
+    new Map(csv(it.Type2).map(t => [lc(t), t])).forEach(t => bump(lists.type2, t));
+    new Map(teamRoles(it).map(r => [lc(r), r])).forEach(r => bump(lists.role, r));
+    if (String(it.Partner_confirmation || '').trim()) confirmed++;
+    const b = teamBudget(it);
+    if (b !== null) {
+      const bucket = BUDGET_BUCKETS.find(x => (x.min === undefined || b >= x.min) && (x.max === undefined || b < x.max));
+      budget[bucket.key]++;
+      min = min === null ? b : Math.min(min, b);
+      max = max === null ? b : Math.max(max, b);
+    }
+  }
+  const sorted = map => [...map.values()].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)).slice(0, top);
+  return {
+    total: items.length,
+    type: sorted(lists.type),
+    type2: sorted(lists.type2),
+    role: sorted(lists.role),
+    partnerConfirmed: { true: confirmed, false: items.length - confirmed },
+    budget: { buckets: budget, min, max },
+  };
+}
+
+module.exports = {
+  FACET_KEY, FACET_INDEXES, facetValues, withFacetPayload, stripFacetPayload,
+  parseFilters, toQdrantFilter, matchesFilters, facetCounts,
+};
@@ -0,0 +1,241 @@
+// === Search pipeline: synonyms -> normalize -> candidates (vector / BM25 / RRF of both) -> dedupe -> re-rank -> MMR ===
+// One code path for POST /search, GET /search and POST /searchPaged. Ranking behaviour lives in
+// named profiles (weights, diversification thresholds, MMR lambda, fusion); intents, their canonical
+// tags and boosts / penalties come from the search dictionary (lib/searchDictionary.js) and a profile
+// may override an intent's weights under anchors.<intent>: { boost, penalty }. Profiles:
+//   - built-in: "default" (the production ranking: vector candidates, BM25 only as a fallback)
+//               "hybrid"  (default + reciprocal rank fusion of the vector and BM25 legs)
+//   - config:   SEARCH_PROFILES_FILE (JSON file) or SEARCH_PROFILES (inline JSON), shaped
+//               { "<name>": { extends?, weights?, anchors?, diversify?, mmr? } }; each profile is merged
+//               over "default" (or its "extends"), so it only lists what differs; a "default" entry
+//               tunes the built-in one
+// Callers pick one with the `profile` parameter; SEARCH_PROFILE_DEFAULT sets the fallback.
+const fs = require('fs');
+const { normalizeQuery, extractExactPhrases, queryContext, intentWeights, scoreBreakdown, mmrDiversifyOrder, shouldDiversify } = require('./searchRanking');
+const { compileDictionary, DEFAULT_DICTIONARY } = require('./searchDictionary');
+
+const DEFAULT_PROFILE = {
+  weights: {
+    typeHit: 0.30, type2Hit: 0.15,
+    overlap: 0.06, overlapCap: 3,
+    acronym: 0.08, noMatchPenalty: 0.10, partnerConfirmed: 0.03,
+    phraseTag: 0.35, phraseTeamName: 0.20, phraseTextarea: 0.10, phraseCap: 0.60,
+    prefer: 0.15,
+  },
+  // per-intent { boost, penalty } overrides; empty = the dictionary's weights
+  anchors: {},
+  // diversify only when more than pairRatio of the top-N pairs have Jaccard >= similarity
+  diversify: { topN: 8, similarity: 0.55, pairRatio: 0.5 },
+  // k: how many leading results MMR reorders (paged search uses its page size; 0 = all)
+  mmr: { lambda: 0.7, k: 10 },
+  // mode "none": vector candidates only; "rrf": weight / (k + rank) summed over both legs, scaled to 0..1
+  fusion: { mode: 'none', k: 60, vectorWeight: 1, lexicalWeight: 1 },
+};
+const BUILTIN_PROFILES = { hybrid: { fusion: { mode: 'rrf' } } };
+const FUSION_MODES = ['none', 'rrf'];
+
+const isPlainObject = v => Boolean(v) && typeof v === 'object' && !Array.isArray(v);
+function mergeDeep(base, over) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over || {})) {
+    out[k] = isPlainObject(v) && isPlainObject(base[k]) ? mergeDeep(base[k], v) : v;
+  }
+  return out;
+}
+
+function httpError(status, message, extra = {}) {
+  return Object.assign(new Error(message), { status }, extra);
+}
+
+// Every number in a profile must be finite; lambda in [0, 1]
+function checkProfile(name, p) {
+  const walk = (obj, path) => {
+    for (const [k, v] of Object.entries(obj)) {
+      if (isPlainObject(v)) walk(v, `${path}.${k}`);
+      else if (typeof v !== 'number' || !Number.isFinite(v)) throw new Error(`Ranking profile "${name}": ${path}.${k} must be a number`);
+    }
+  };
+  const { mode, ...fusionNumbers } = p.fusion;
+  walk({ weights: p.weights, anchors: p.anchors, diversify: p.diversify, mmr: p.mmr, fusion: fusionNumbers }, name);
+  if (p.mmr.lambda < 0 || p.mmr.lambda > 1) throw new Error(`Ranking profile "${name}": mmr.lambda must be between 0 and 1`);
+  if (!FUSION_MODES.includes(mode)) throw new Error(`Ranking profile "${name}": fusion.mode must be one of ${FUSION_MODES.join(', ')}`);
+  return p;
+}
+
+// -> { [name]: profile } with "default" always present; throws on malformed config
+function loadRankingProfiles({ file = '', json = '' } = {}) {
+  let raw = {};
+  if (file) raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  else if (json) raw = JSON.parse(json);
+  if (!isPlainObject(raw)) throw new Error('Ranking profiles config must be a JSON object');
+  // config entries with a built-in name replace the built-in
+  raw = { ...BUILTIN_PROFILES, ...raw };
+
+  const profiles = {};
+  const resolving = new Set();
+  const resolve = name => {
+    if (profiles[name]) return profiles[name];
+    if (!raw[name] && name !== 'default') throw new Error(`Ranking profile "${name}" is not defined`);
+    if (resolving.has(name)) throw new Error(`Ranking profile "${name}" extends itself`);
+    resolving.add(name);
+    const { extends: parent, ...own } = raw[name] || {};
+    const base = name === 'default' ? DEFAULT_PROFILE : resolve(parent || 'default');
+    profiles[name] = checkProfile(name, mergeDeep(base, own));
+    resolving.delete(name);
+    return profiles[name];
+  };
+  resolve('default');
+  Object.keys(raw).forEach(resolve);
+  return profiles;
+}
+
+// embed(q) -> vector; search(vector, k, filters) -> Qdrant hits; lexical(q, k, filters) -> [{ item, score }]
+// (optional BM25 leg); vectorsEnabled() -> bool; dedupe(items) -> items; identity(item) -> key shared by
+// both legs; tieBreak(a, b) orders equal scores deterministically (keeps pages stable);
+// dictionary() -> compiled search dictionary (hot-reloaded by the caller)
+const BUILTIN_DICTIONARY = compileDictionary(DEFAULT_DICTIONARY);
+function createSearchPipeline({
+  embed, search, lexical = null, vectorsEnabled = () => true, dedupe, identity, tieBreak = () => 0,
+  profiles, defaultProfile = 'default', dictionary = async () => BUILTIN_DICTIONARY,
+}) {
+  if (!profiles[defaultProfile]) throw new Error(`SEARCH_PROFILE_DEFAULT "${defaultProfile}" is not a defined ranking profile`);
+
+  // Unknown names are a 400 so an A/B arm with a typo does not silently fall back
+  function resolveProfile(name) {
+    const key = String(name || '').trim() || defaultProfile;
+    if (!profiles[key]) throw httpError(400, `Unknown ranking profile "${key}"`, { profiles: Object.keys(profiles) });
+    return { name: key, ...profiles[key] };
+  }
+
+  async function vectorLeg(q, candidates, filters) {
+    const vec = await embed(q);
+    const hits = await search(vec, candidates, filters);
+    // Map results and keep semantic score
+    return (hits || [])
+      .map(h => ({ ...(h.payload || {}), __score: (typeof h.score === 'number' ? h.score : 0) }))
+      .filter(obj => Object.keys(obj).length > 0);
+  }
+
+  // BM25 scores are unbounded: scale by the best hit so boosts keep their meaning
+  async function lexicalLeg(q, candidates, filters) {
+    const hits = await lexical(q, candidates, filters);
+    const top = hits.length ? hits[0].score : 0;
+    return hits.map(h => ({ ...h.item, __score: top > 0 ? h.score / top : 0 }));
+  }
+
+  function fuseRrf(vectorItems, lexicalItems, { k, vectorWeight, lexicalWeight }) {
+    const fused = new Map();
+    const add = (items, weight) => items.forEach((it, rank) => {
+      const key = identity(it);
+      const cur = fused.get(key) || { item: it, score: 0 };
+      cur.score += weight / (k + rank + 1);
+      fused.set(key, cur);
+    });
+    add(vectorItems, vectorWeight);
+    add(lexicalItems, lexicalWeight);
+    const best = (vectorWeight + lexicalWeight) / (k + 1);
+    return [...fused.values()].map(({ item, score }) => ({ ...item, __score: best > 0 ? score / best : 0 }));
+  }
+
+  // Candidates for the profile. mode: "vector" | "hybrid" | "lexical" | "none";
+  // fallback: null | "vectors_disabled" | "vector_error" when BM25 stood in for the vector leg.
+  async function candidatesFor(q, candidates, filters, profile) {
+    let vectorItems = null;
+    let fallback = null;
+    let vectorError = null;
+    if (vectorsEnabled()) {
+      try {
+        vectorItems = await vectorLeg(q, candidates, filters);
+      } catch (e) {
+        if (!lexical) throw e;
+        vectorError = e;
+        fallback = 'vector_error';
+        console.warn('[search] vector leg failed, using lexical fallback:', String(e.message || e));
+      }
+    } else {
+      fallback = 'vectors_disabled';
+    }
+    if (!lexical || (!fallback && profile.fusion.mode !== 'rrf')) {
+      return { items: vectorItems || [], mode: vectorItems ? 'vector' : 'none', fallback };
+    }
+
+    let lexicalItems;
+    try {
+      lexicalItems = await lexicalLeg(q, candidates, filters);
+    } catch (e) {
+      if (vectorError) throw vectorError;
+      console.warn('[search] lexical leg failed:', String(e.message || e));
+      return { items: vectorItems || [], mode: vectorItems ? 'vector' : 'none', fallback };
+    }
+    if (!vectorItems) return { items: lexicalItems, mode: 'lexical', fallback };
+    return { items: fuseRrf(vectorItems, lexicalItems, profile.fusion), mode: 'hybrid', fallback };
+  }
+
+  // Raw query -> synonyms applied, normalized, intents matched; q is '' for an empty query
+  function parseQuery(rawQ, dict) {
+    const rewritten = dict.rewrite(String(rawQ || '').trim());
+    const q = normalizeQuery(rewritten.text.trim());
+    return { q, synonyms: rewritten.applied, exactPhrases: extractExactPhrases(rawQ), intents: q ? dict.match(q) : [] };
+  }
+
+  // The query as search sees it (synonyms applied, normalized), e.g. to key analytics events
+  async function normalize(rawQ) {
+    return parseQuery(rawQ, await dictionary()).q;
+  }
+
+  // How a query expands under a profile (dictionary preview; nothing is searched)
+  async function expand(rawQ, profileName) {
+    const profile = resolveProfile(profileName);
+    const { q, synonyms, exactPhrases, intents } = parseQuery(rawQ, await dictionary());
+    return {
+      q, profile: profile.name, synonyms, exactPhrases,
+      intents: intents.map(i => ({ intent: i.name, trigger: i.trigger, tags: i.tags, ...intentWeights(i, profile), prefer: i.prefer })),
+    };
+  }
+
+  // Returns null for an empty query; otherwise every candidate ranked (callers slice / page).
+  // diversifyK overrides profile.mmr.k (paged search passes its page size); filters: lib/searchFacets.js.
+  // explain: each item gets __explain (candidate score -- cosine, scaled BM25 or fused RRF per `mode` --,
+  // every non-zero boost / penalty, total, scoreRank before MMR, rank after) and the result an `explain`
+  // summary of the query side.
+  async function run({ rawQ, candidates, profile: profileName, diversifyK, filters = null, explain = false }) {
+    const profile = resolveProfile(profileName);
+    const { q, synonyms, exactPhrases, intents } = parseQuery(rawQ, await dictionary());
+    if (!q) return null;
+
+    const found = await candidatesFor(q, candidates, filters, profile);
+    // Deduplicate by TeamName (keep highest score); fallback to stable key if TeamName missing
+    let items = dedupe(found.items);
+
+    const ctx = queryContext(q, exactPhrases, intents);
+    for (const it of items) {
+      const parts = scoreBreakdown(it, ctx, profile);
+      it.__score = parts.total;
+      if (explain) it.__explain = parts;
+    }
+    items.sort((a, b) => (b.__score || 0) - (a.__score || 0) || tieBreak(a, b));
+    if (explain) items.forEach((it, i) => { it.__explain.scoreRank = i + 1; });
+
+    // Final ordering: diversify if many top results are near-identical by tags/keywords
+    const { topN, similarity, pairRatio } = profile.diversify;
+    const diversified = shouldDiversify(items, topN, similarity, pairRatio);
+    const mmrK = Math.min(diversifyK || profile.mmr.k || items.length, items.length);
+    if (diversified) items = mmrDiversifyOrder(items, mmrK, profile.mmr.lambda);
+    if (explain) items.forEach((it, i) => { it.__explain.rank = i + 1; });
+
+    const out = { q, exactPhrases, profile: profile.name, items, diversified, mode: found.mode, fallback: found.fallback };
+    if (explain) {
+      out.explain = {
+        q, rawQ: String(rawQ || '').trim(), synonyms, exactPhrases,
+        intents: intents.map(i => ({ intent: i.name, trigger: i.trigger })),
+        profile: profile.name, mode: found.mode, fallback: found.fallback,
+        diversified, mmr: diversified ? { lambda: profile.mmr.lambda, k: mmrK } : null,
+      };
+    }
+    return out;
+  }
+
+  return { run, expand, normalize, resolveProfile, profiles: () => ({ ...profiles }), defaultProfile };
+}
+
+module.exports = { createSearchPipeline, loadRankingProfiles, DEFAULT_PROFILE };
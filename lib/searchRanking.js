@@ -0,0 +1,252 @@
+// === Search ranking primitives (pure; used by lib/searchPipeline.js and the /orders tag filters) ===
+// Query normalization, exact-phrase extraction, keyword/tag features, intent scoring and
+// token/Jaccard MMR diversification. Weights come from a ranking profile; intents (synonyms, canonical
+// tags, their boosts / penalties) from the search dictionary (lib/searchDictionary.js).
+
+// --- Exact CSV tag matching helpers (for /orders strict tag search) ---
+const _normExact = s => String(s || '').toLowerCase().replace(/\s+/g, ' ').trim();
+const splitCSVExact = s => String(s || '').split(',').map(t => t.trim()).filter(Boolean);
+const _acronymExact = s => String(s || '')
+  .split(/[^a-z0-9]+/i).filter(Boolean).map(w => w[0]).join('').toUpperCase();
+
+function csvHasTagExact(csv, wanted) {
+  const w = _normExact(wanted);
+  return splitCSVExact(csv).some(tag => _normExact(tag) === w);
+}
+function csvHasAcronym(csv, wanted) {
+  const W = String(wanted || '').toUpperCase();
+  if (!W) return false;
+  return splitCSVExact(csv).some(tag => _acronymExact(tag) === W);
+}
+
+const STOPWORDS = new Set(['i','me','my','we','our','need','want','a','an','the','team','for','to','please','looking','search','find','build','hire']);
+function normalizeQuery(q) {
+  // Spelling variants (ci/cd, cicd, ...) are unified by the dictionary's synonyms before this runs
+  const base = String(q || '').toLowerCase()
+    .replace(/[-_]+/g, ' ');
+  const toks = base.split(/[^a-z0-9]+/).filter(Boolean);
+  const filtered = toks.filter(t => !STOPWORDS.has(t));
+  return filtered.join(' ').trim() || base.trim() || String(q || '').trim();
+}
+function _tokens(s){ return String(s||'').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean); }
+function _csvParts(s){ return String(s||'').split(',').map(x=>x.trim()).filter(Boolean); }
+function _acronym(s){
+  return String(s||'').split(/[^a-z0-9]+/i).filter(Boolean).map(w=>w[0]).join('').toUpperCase();
+}
+function escapeRegExp(s){ return String(s || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+
+// Extract meaningful multi-word phrases directly from the raw query (without over-normalizing).
+// Example: "i need business strategy" -> ["business strategy"]
+function extractExactPhrases(rawQ){
+  const raw = String(rawQ || '').toLowerCase();
+  // Replace separators with a single space, keep words
+  const tokens = raw.split(/[^a-z0-9]+/).filter(Boolean);
+  // Remove trivial words to avoid phrases like "i need"
+  const filtered = tokens.filter(t => !STOPWORDS.has(t));
+  const phrases = new Set();
+
+  // Collect contiguous bigrams and trigrams as candidate phrases
+  for (let i = 0; i < filtered.length; i++){
+    const one = filtered[i];
+    const two = filtered[i+1];
+    const three = filtered[i+2];
+
+    if (two) phrases.add(`${one} ${two}`);
+    if (two && three) phrases.add(`${one} ${two} ${three}`);
+  }
+
+  // Also include any quoted substrings from the raw query as-is
+  const quoted = raw.match(/"([^"]+)"/g) || [];
+  quoted.forEach(q => {
+    const inner = q.slice(1, -1).trim();
+    if (inner.split(/\s+/).length >= 2) phrases.add(inner.toLowerCase());
+  });
+
+  // Return only phrases of at least 2 words
+  return Array.from(phrases).filter(p => p.split(/\s+/).length >= 2);
+}
+
+// Exact-phrase boost: CSV tag in Type/Type2 (strongest), TeamName, free-form Textarea; capped
+function phraseBoostForItem(item, phrases, w){
+  if (!phrases || !phrases.length) return 0;
+  const team = String(item.TeamName || '').toLowerCase();
+  const tags = String(item.Textarea || '').toLowerCase();
+  const typeCsv = String(item.Type || '');
+  const type2Csv = String(item.Type2 || '');
+  let boost = 0;
+
+  for (const p of phrases){
+    const pLc = String(p).toLowerCase();
+    const re = new RegExp(`\\b${escapeRegExp(pLc)}\\b`, 'i');
+    if (csvHasTagExact(typeCsv, pLc) || csvHasTagExact(type2Csv, pLc)) boost += w.phraseTag;
+    if (re.test(team)) boost += w.phraseTeamName;
+    if (re.test(tags)) boost += w.phraseTextarea;
+  }
+  // Cap total phrase-derived boost to keep ranking stable
+  return Math.min(boost, w.phraseCap);
+}
+
+function keywordFeatures(order, qCoreTokens) {
+  const typeParts  = _csvParts(order.Type);
+  const type2Parts = _csvParts(order.Type2);
+  const allText = [
+    order.TeamName, order.Type, order.Type2, order.Textarea,
+    order.X1Q, order.industrymarket_expertise,
+    order.spcv1,order.spcv2,order.spcv3,order.spcv4,order.spcv5,
+    order.spcv6,order.spcv7,order.spcv8,order.spcv9,order.spcv10
+  ].map(x=>String(x||'').toLowerCase()).join(' ');
+  const qSet = new Set(qCoreTokens);
+  const textTokens = new Set(_tokens(allText));
+  // direct hits in Type / Type2
+  const typeHit  = typeParts.some(t => qSet.has(String(t||'').toLowerCase()));
+  const type2Hit = type2Parts.some(t => qSet.has(String(t||'').toLowerCase()));
+  // text overlap count
+  let overlap = 0;
+  qSet.forEach(t => { if (textTokens.has(t)) overlap++; });
+  // acronym match (PR/SMM/CI/CD)
+  const acrQ = _acronym([...qSet].join(' '));
+  const hasAcr = Boolean(acrQ) && (typeParts.concat(type2Parts).some(t => _acronym(t) === acrQ));
+  return { typeHit, type2Hit, overlap, hasAcr };
+}
+
+// Anchor intent helpers (to strictly prefer canonical tags when user asks for them)
+function hasTag(order, term){
+  const termLc = String(term || '').toLowerCase();
+  const set = new Set(_csvParts(order.Type).concat(_csvParts(order.Type2)).map(s => String(s||'').trim().toLowerCase()));
+  return set.has(termLc);
+}
+
+// Query context shared by every item: qn = normalized query, tokens = its words,
+// intents = dictionary intents the query triggered (searchDictionary match())
+function queryContext(q, exactPhrases = [], intents = []) {
+  const qn = String(q || '').toLowerCase();
+  const tokens = qn.split(/[^a-z0-9]+/).filter(Boolean);
+  return { qn, tokens, tokenSet: new Set(tokens), exactPhrases, intents };
+}
+
+// Intent weights: the dictionary entry's, unless the profile overrides them under anchors.<intent>
+function intentWeights(intent, profile) {
+  return { boost: intent.boost, penalty: intent.penalty, ...(profile.anchors || {})[intent.name] };
+}
+
+// Hybrid score: vector cosine (__score) + field/keyword boosts, intent anchors, exact phrases, preferences.
+// Returns the non-zero contributions (explain mode) and their total, summed in ranking order.
+function scoreBreakdown(it, ctx, profile) {
+  const w = profile.weights;
+  const feat = keywordFeatures(it, ctx.tokens);
+  const parts = { candidate: (typeof it.__score === 'number' ? it.__score : 0) };
+  let final = parts.candidate;
+  const add = (key, v) => { final += v; if (v) parts[key] = v; };
+
+  // Strong preference for exact tag hits
+  if (feat.typeHit)  add('typeHit', w.typeHit);
+  if (feat.type2Hit) add('type2Hit', w.type2Hit);
+  // Small bonus for textual overlap in long fields
+  add('overlap', Math.min(feat.overlap, w.overlapCap) * w.overlap);
+  // Acronym-friendly nudge (PR, SMM, CICD...)
+  if (feat.hasAcr) add('acronym', w.acronym);
+  // Guardrail: penalize items with zero overlap and no tag hits
+  if (!feat.typeHit && !feat.type2Hit && feat.overlap === 0) add('noMatchPenalty', -w.noMatchPenalty);
+  // Social-proof micro-boost
+  if (String(it.Partner_confirmation||'').trim()) add('partnerConfirmed', w.partnerConfirmed);
+
+  // Anchor intents: when the query clearly asks for e.g. SEO, strictly prefer the canonical tags
+  const intents = [];
+  for (const intent of ctx.intents) {
+    if (!intent.tags.length) continue;
+    const a = intentWeights(intent, profile);
+    const hit = intent.tags.some(t => hasTag(it, t));
+    final += hit ? a.boost : -a.penalty;
+    intents.push({ intent: intent.name, tagHit: hit, value: hit ? a.boost : -a.penalty });
+  }
+  if (intents.length) parts.intents = intents;
+
+  add('phrase', phraseBoostForItem(it, ctx.exactPhrases, w));
+
+  // Gentle preferences: one boost when Type/Type2/Textarea mention any preferred term
+  const prefers = ctx.intents.flatMap(i => i.prefer);
+  if (prefers.length) {
+    const t1 = String(it.Type || '').toLowerCase();
+    const t2 = String(it.Type2 || '').toLowerCase();
+    const tg = String(it.Textarea || '').toLowerCase();
+    if (prefers.some(p => t1.includes(p) || t2.includes(p) || tg.includes(p))) add('prefer', w.prefer);
+  }
+  return { ...parts, total: final };
+}
+const scoreItem = (it, ctx, profile) => scoreBreakdown(it, ctx, profile).total;
+
+// --- Lightweight MMR diversification (token/Jaccard based; no extra embeddings) ---
+function _itemTokens(it){
+  const parts = [];
+  const pushCSV = (s) => String(s||'').split(',').map(x=>x.trim().toLowerCase()).filter(Boolean).forEach(t=>parts.push(t));
+  const pushWords = (s) => String(s||'').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).forEach(w=>parts.push(w));
+  // High-signal fields first
+  pushCSV(it.Type);
+  pushCSV(it.Type2);
+  pushWords(it.TeamName);
+  // Limited tail from tags/keywords to avoid noise
+  const text = String(it.Textarea||'');
+  pushWords(text.slice(0, 300));
+  // Add acronyms (PR, SMM, CICD)
+  const acr = _acronym([it.Type, it.Type2].map(x=>String(x||'')).join(' '));
+  if (acr) parts.push(acr.toLowerCase());
+  return Array.from(new Set(parts));
+}
+function _jaccard(aSet, bSet){
+  let inter = 0;
+  aSet.forEach(x => { if (bSet.has(x)) inter++; });
+  const union = aSet.size + bSet.size - inter;
+  return union ? (inter / union) : 0;
+}
+// Select K items in diversified order based on MMR.
+// items: [{... , __score:number}], K: how many to keep in order, lambda: trade-off [0..1]
+function mmrDiversifyOrder(items, K = 10, lambda = 0.7){
+  if (!Array.isArray(items) || items.length <= 1) return items;
+  // Precompute token sets
+  const tokSets = items.map(_itemTokens).map(arr => new Set(arr));
+  const picked = [];
+  const remaining = items.map((_,i)=>i);
+  // Start from the best by score
+  remaining.sort((ia, ib) => (items[ib].__score||0) - (items[ia].__score||0));
+  picked.push(remaining.shift());
+  while (picked.length < Math.min(K, items.length) && remaining.length){
+    let bestIdx = 0, bestVal = -Infinity;
+    for (let r = 0; r < remaining.length; r++){
+      const i = remaining[r];
+      const relevance = items[i].__score || 0;
+      let maxSim = 0;
+      for (const j of picked){
+        const s = _jaccard(tokSets[i], tokSets[j]);
+        if (s > maxSim) maxSim = s;
+      }
+      const mmr = lambda * relevance - (1 - lambda) * maxSim;
+      if (mmr > bestVal){ bestVal = mmr; bestIdx = r; }
+    }
+    picked.push(remaining.splice(bestIdx,1)[0]);
+  }
+  // Build diversified order for first K, then append the rest by score
+  const ordered = picked.map(i => items[i]);
+  const pickedSet = new Set(picked);
+  const rest = items.filter((_,idx)=>!pickedSet.has(idx)).sort((a,b)=> (b.__score||0)-(a.__score||0));
+  return ordered.concat(rest);
+}
+// Decide whether to apply diversification: only when more than pairRatio of the top-N pairs are too similar.
+function shouldDiversify(items, checkTopN = 8, simThreshold = 0.55, pairRatio = 0.5){
+  const N = Math.min(checkTopN, items.length);
+  if (N < 3) return false;
+  const sets = items.slice(0, N).map(_itemTokens).map(arr => new Set(arr));
+  let pairs = 0, high = 0;
+  for (let i=0;i<N;i++){
+    for (let j=i+1;j<N;j++){
+      pairs++;
+      if (_jaccard(sets[i], sets[j]) >= simThreshold) high++;
+    }
+  }
+  return pairs > 0 && (high / pairs) > pairRatio;
+}
+
+module.exports = {
+  STOPWORDS, acronym: _acronym,
+  normalizeQuery, extractExactPhrases, queryContext, intentWeights, splitCSVExact, csvHasTagExact, csvHasAcronym,
+  keywordFeatures, hasTag, phraseBoostForItem, scoreBreakdown, scoreItem, mmrDiversifyOrder, shouldDiversify,
+};
@@ -0,0 +1,78 @@
+// === Stale-while-revalidate cache with single-flight loading (one instance per sheet) ===
+// - fresh (age < ttlMs): served from memory
+// - stale (age < ttlMs + staleMs): served from memory, one background reload kicked off
+// - older / empty: callers wait for a load; concurrent misses share the same promise
+// invalidate() drops the data and discards any load that started before it.
+
+function createSheetCache({ name, load, ttlMs = 15 * 1000, staleMs = 5 * 60 * 1000 }) {
+  let entry = { data: null, ts: 0 };
+  let inflight = null;
+  let generation = 0;
+  const listeners = [];
+  const stats = { hits: 0, staleHits: 0, misses: 0, loads: 0, loadErrors: 0, invalidations: 0, lastLoadMs: null };
+
+  function startLoad() {
+    if (inflight) return inflight;
+    const gen = generation;
+    const t0 = Date.now();
+    stats.loads++;
+    const p = Promise.resolve()
+      .then(load)
+      .then(data => {
+        stats.lastLoadMs = Date.now() - t0;
+        // A write invalidated us while loading: hand the data to this caller but don't keep it
+        if (gen === generation) {
+          entry = { data, ts: Date.now() };
+          listeners.forEach(fn => {
+            try { fn(data); } catch (e) { console.warn(`[cache:${name}] refresh listener failed:`, String(e.message || e)); }
+          });
+        }
+        return data;
+      })
+      .catch(err => { stats.loadErrors++; throw err; })
+      .finally(() => { if (inflight === p) inflight = null; });
+    inflight = p;
+    return p;
+  }
+
+  return {
+    name,
+
+    async get() {
+      const age = Date.now() - entry.ts;
+      if (entry.data && age < ttlMs) { stats.hits++; return entry.data; }
+      if (entry.data && age < ttlMs + staleMs) {
+        stats.staleHits++;
+        startLoad().catch(err => console.warn(`[cache:${name}] background refresh failed:`, String(err.message || err)));
+        return entry.data;
+      }
+      stats.misses++;
+      return startLoad();
+    },
+
+    invalidate() {
+      generation++;
+      stats.invalidations++;
+      entry = { data: null, ts: 0 };
+      inflight = null;
+    },
+
+    // Called with the new data after every successful (non-discarded) load
+    onRefresh(fn) { listeners.push(fn); },
+
+    peek() { return entry.data; },
+
+    stats() {
+      const lookups = stats.hits + stats.staleHits + stats.misses;
+      return {
+        ...stats,
+        hitRate: lookups ? Number(((stats.hits + stats.staleHits) / lookups).toFixed(3)) : null,
+        ageMs: entry.data ? Date.now() - entry.ts : null,
+        ttlMs, staleMs,
+        loading: Boolean(inflight),
+      };
+    },
+  };
+}
+
+module.exports = { createSheetCache };
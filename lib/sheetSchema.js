@@ -0,0 +1,86 @@
+// === Header-driven row mapping shared by reads (rowsToObjects) and appends (mapRecordToRow) ===
+// Columns are located by their header text, so inserting/moving a column in the sheet
+// no longer shifts every later field.
+
+// Header lookup key: case- and whitespace-insensitive ("Payment status" == "PaymentStatus")
+const headerKey = s => String(s ?? '').replace(/\s+/g, '').toLowerCase();
+
+const range10 = fn => Array.from({ length: 10 }, (_, i) => fn(i + 1));
+
+// Specialist block: sp / hours / quantity / summ per slot; some sheets call them rate / cost
+const SPECIALIST_ALIASES = Object.assign({},
+  ...range10(i => ({ [`quantity${i}`]: [`rate${i}`], [`summ${i}`]: [`cost${i}`] }))
+);
+
+// required: columns that must exist in the header row before we append anything
+// aliases:  record key -> alternative header names tried when the key itself is absent
+const LEAD_SCHEMA = {
+  required: ['timestamp', 'email'],
+  aliases: { ...SPECIALIST_ALIASES },
+};
+const TEAM_SCHEMA = {
+  required: ['timestamp', 'TeamName'],
+  aliases: { ...SPECIALIST_ALIASES },
+};
+
+// rows: [headers, ...values] as returned by storage.readRows
+function rowsToObjects(rows) {
+  if (!rows || rows.length === 0) return [];
+  const headers = rows[0].map(h => String(h || '').trim());
+  return rows.slice(1).map(row => headers.reduce((obj, key, i) => {
+    obj[key] = row[i] || '';
+    return obj;
+  }, {}));
+}
+
+function buildHeaderIndex(headers) {
+  const idx = new Map();
+  (headers || []).forEach((h, i) => {
+    const k = headerKey(h);
+    if (k && !idx.has(k)) idx.set(k, i);
+  });
+  return idx;
+}
+
+function findMissingColumns(headers, schema = {}) {
+  const idx = buildHeaderIndex(headers);
+  return (schema.required || []).filter(c => !idx.has(headerKey(c)));
+}
+
+// Place each record value under its named column.
+// Returns { row, unknownKeys, missingColumns } — callers reject when missingColumns is non-empty.
+function mapRecordToRow(headers, record, schema = {}) {
+  const idx = buildHeaderIndex(headers);
+  const missingColumns = findMissingColumns(headers, schema);
+  const row = new Array((headers || []).length).fill('');
+  const unknownKeys = [];
+  for (const [key, value] of Object.entries(record || {})) {
+    const candidates = [key].concat((schema.aliases || {})[key] || []);
+    const hit = candidates.map(c => idx.get(headerKey(c))).find(c => c !== undefined);
+    if (hit === undefined) {
+      // Silently drop empty values (defaults), report anything the client actually sent
+      if (value !== '' && value !== undefined && value !== null) unknownKeys.push(key);
+      continue;
+    }
+    row[hit] = value ?? '';
+  }
+  return { row, unknownKeys, missingColumns };
+}
+
+// /addOrder sends specialists as [{ sp, hours, rate|quantity, cost }]; spread into sp1..summ10
+function flattenSpecialists(specialists = []) {
+  const out = {};
+  for (let i = 0; i < 10; i++) {
+    const s = specialists[i] || {};
+    out[`sp${i + 1}`] = s.sp || '';
+    out[`hours${i + 1}`] = s.hours || '';
+    out[`quantity${i + 1}`] = s.rate || s.quantity || '';
+    out[`summ${i + 1}`] = s.cost || '';
+  }
+  return out;
+}
+
+module.exports = {
+  LEAD_SCHEMA, TEAM_SCHEMA,
+  headerKey, rowsToObjects, buildHeaderIndex, findMissingColumns, mapRecordToRow, flattenSpecialists,
+};
@@ -0,0 +1,88 @@
+// === Spam checks for the public lead form (POST /addOrder) ===
+// - form token: "<issuedAt base36>.<nonce>.<base64url HMAC>" issued when the form is rendered and bound
+//   to the team name; a submission faster than minFillMs after issue is treated as a bot. Without a
+//   token the fill time cannot be checked, so a missing token is a reason of its own (requireToken)
+//   or, when tokens are optional, is added to the reasons other checks already found
+// - honeypots: fields hidden from people (HONEYPOT_FIELDS) that must come back empty
+// - content: too many links, links in the name, disposable email domains
+// check() only reports reasons; the caller decides where a suspicious lead goes.
+const { createHmac, randomBytes, timingSafeEqual } = require('crypto');
+
+const FORM_TOKEN_FIELD = 'formToken';
+const HONEYPOT_FIELDS = ['website', 'fax'];
+
+// Common throwaway inbox providers; extend per deployment with SPAM_DISPOSABLE_DOMAINS
+const DISPOSABLE_DOMAINS = [
+  'mailinator.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com', '10minutemail.com',
+  'temp-mail.org', 'tempmail.com', 'tempmailo.com', 'yopmail.com', 'trashmail.com', 'getnada.com',
+  'dispostable.com', 'maildrop.cc', 'throwawaymail.com', 'fakeinbox.com', 'mintemail.com',
+  'mohmal.com', 'emailondeck.com', 'mailnesia.com', 'spamgourmet.com', 'mytemp.email', 'tempr.email',
+];
+
+const LINK = /\bhttps?:\/\/|\bwww\.|\[url[=\]]|<a\s/gi;
+const lc = v => String(v || '').trim().toLowerCase();
+const countLinks = s => (String(s || '').match(LINK) || []).length;
+
+function createSpamGuard({
+  secret,
+  minFillMs = 3000,
+  tokenTtlMs = 24 * 60 * 60 * 1000,
+  requireToken = true,
+  maxLinks = 2,
+  disposableDomains = [],
+} = {}) {
+  const key = secret || randomBytes(32).toString('hex');
+  const disposable = new Set([...DISPOSABLE_DOMAINS, ...disposableDomains].map(lc).filter(Boolean));
+
+  const sign = (issuedAt, nonce, scope) =>
+    createHmac('sha256', key).update(`form|${issuedAt}|${nonce}|${lc(scope)}`).digest();
+
+  // scope: the team name the form posts for (hidden teamName input)
+  function issueFormToken(scope = '', now = Date.now()) {
+    const issuedAt = now.toString(36);
+    const nonce = randomBytes(9).toString('base64url');
+    return `${issuedAt}.${nonce}.${sign(issuedAt, nonce, scope).toString('base64url')}`;
+  }
+
+  // -> null when the token is fine, else the reason it is not
+  function tokenProblem(token, scope, now) {
+    if (!token) return 'form_token_missing';
+    const [issuedAt, nonce, sig] = String(token).split('.');
+    if (!issuedAt || !nonce || !sig) return 'form_token_invalid';
+    const given = Buffer.from(sig, 'base64url');
+    const expected = sign(issuedAt, nonce, scope);
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) return 'form_token_invalid';
+    const age = now - parseInt(issuedAt, 36);
+    if (!Number.isFinite(age) || age < 0 || age > tokenTtlMs) return 'form_token_expired';
+    if (age < minFillMs) return 'filled_too_fast';
+    return null;
+  }
+
+  function isDisposable(email) {
+    let domain = lc(email).split('@')[1] || '';
+    while (domain) {
+      if (disposable.has(domain)) return true;
+      domain = domain.includes('.') ? domain.slice(domain.indexOf('.') + 1) : '';
+    }
+    return false;
+  }
+
+  // body: the raw /addOrder body -> { suspicious, reasons }
+  function check(body = {}, { now = Date.now() } = {}) {
+    const reasons = [];
+    if (HONEYPOT_FIELDS.some(f => String(body[f] ?? '').trim() !== '')) reasons.push('honeypot');
+    const tokenIssue = tokenProblem(body[FORM_TOKEN_FIELD], body.teamName ?? body.TeamName, now);
+    const tokenMissing = tokenIssue === 'form_token_missing';
+    if (tokenIssue && (requireToken || !tokenMissing)) reasons.push(tokenIssue);
+    const links = ['Textarea', 'Brief', 'Documents'].reduce((n, f) => n + countLinks(body[f]), 0);
+    if (links > maxLinks) reasons.push('too_many_links');
+    if (countLinks(body.name)) reasons.push('link_in_name');
+    if (isDisposable(body.email)) reasons.push('disposable_email');
+    if (tokenMissing && !requireToken && reasons.length) reasons.push(tokenIssue);
+    return { suspicious: reasons.length > 0, reasons };
+  }
+
+  return { issueFormToken, check, isDisposable };
+}
+
+module.exports = { createSpamGuard, FORM_TOKEN_FIELD, HONEYPOT_FIELDS, DISPOSABLE_DOMAINS };
@@ -0,0 +1,93 @@
+// === Local JSON-file storage adapter ===
+// Same interface as the Sheets adapter, backed by one <dir>/<sheet>.json file per tab
+// holding the raw 2D values array (row 0 = headers). Lets the server run on a laptop
+// or in tests without credentials.json.
+const fs = require('fs');
+const fsp = require('fs/promises');
+const nodePath = require('path');
+
+// Sheets returns every cell as a string; keep the local copy identical
+const cell = v => (v === null || v === undefined ? '' : String(v));
+
+function createFileStorage({ dir }) {
+  const baseDir = nodePath.resolve(dir);
+  fs.mkdirSync(baseDir, { recursive: true });
+  // Per-sheet promise chain so concurrent writes never interleave read-modify-write
+  const queues = new Map();
+
+  const fileFor = sheet => nodePath.join(baseDir, `${String(sheet).replace(/[^A-Za-z0-9_.-]+/g, '_')}.json`);
+
+  async function load(sheet) {
+    try {
+      const rows = JSON.parse(await fsp.readFile(fileFor(sheet), 'utf8'));
+      return Array.isArray(rows) ? rows : [];
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+  }
+
+  async function save(sheet, rows) {
+    const file = fileFor(sheet);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fsp.writeFile(tmp, JSON.stringify(rows, null, 1));
+    await fsp.rename(tmp, file);
+  }
+
+  function mutate(sheet, fn) {
+    const prev = queues.get(sheet) || Promise.resolve();
+    const next = prev.catch(() => {}).then(async () => {
+      const rows = await load(sheet);
+      const out = await fn(rows);
+      await save(sheet, rows);
+      return out;
+    });
+    queues.set(sheet, next);
+    return next;
+  }
+
+  return {
+    kind: 'file',
+
+    async readRows(sheet) {
+      await (queues.get(sheet) || Promise.resolve()).catch(() => {});
+      return load(sheet);
+    },
+
+    async readHeader(sheet) {
+      const rows = await this.readRows(sheet);
+      return rows[0] || [];
+    },
+
+    ensureSheet(sheet, headers = []) {
+      return mutate(sheet, rows => {
+        if (!rows.length && headers.length) rows.push(headers.map(cell));
+      });
+    },
+
+    appendRows(sheet, newRows) {
+      return mutate(sheet, rows => {
+        newRows.forEach(r => rows.push(r.map(cell)));
+      });
+    },
+
+    updateCells(sheet, updates) {
+      return mutate(sheet, rows => {
+        for (const u of updates) {
+          while (rows.length <= u.row) rows.push([]);
+          const row = rows[u.row];
+          while (row.length <= u.col) row.push('');
+          row[u.col] = cell(u.value);
+        }
+      });
+    },
+
+    deleteRow(sheet, rowIndex) {
+      return mutate(sheet, rows => {
+        if (rowIndex < rows.length) rows.splice(rowIndex, 1);
+      });
+    },
+  };
+}
+
+module.exports = { createFileStorage };
@@ -0,0 +1,25 @@
+// === Storage backend selection ===
+// Every adapter exposes the same row-oriented interface; row/col indexes are 0-based
+// positions in the array returned by readRows (row 0 is the header row):
+//   readRows(sheet)               -> Promise<string[][]>
+//   readHeader(sheet)             -> Promise<string[]>   (row 0 only)
+//   ensureSheet(sheet, headers)   -> Promise<void>   creates the tab / header row if missing
+//   appendRows(sheet, rows)       -> Promise<void>   rows: any[][]
+//   updateCells(sheet, updates)   -> Promise<void>   updates: [{ row, col, value }]
+//   deleteRow(sheet, rowIndex)    -> Promise<void>
+const { createSheetsStorage } = require('./sheets');
+const { createFileStorage } = require('./file');
+
+// STORAGE_BACKEND=sheets (default) | file
+function createStorage({ spreadsheetId, keyFile, env = process.env } = {}) {
+  const backend = String(env.STORAGE_BACKEND || 'sheets').trim().toLowerCase();
+  if (backend === 'file') {
+    return createFileStorage({ dir: env.STORAGE_FILE_DIR || './data' });
+  }
+  if (backend !== 'sheets') {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected "sheets" or "file")`);
+  }
+  return createSheetsStorage({ spreadsheetId, keyFile });
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,64 @@
+// === Spreadsheet metadata: tab title -> numeric sheetId (+ grid size), cached ===
+// Replaces hardcoded gids so a recreated/duplicated tab is picked up by title.
+
+const META_TTL_MS = Number(process.env.SHEET_META_TTL_MS || 10 * 60 * 1000); // default 10 minutes
+
+function createSheetMeta({ getSheets, spreadsheetId, ttlMs = META_TTL_MS }) {
+  let cache = { byTitle: null, ts: 0 };
+  let inflight = null;
+  let generation = 0; // bumped by invalidate() so a load already in flight cannot re-cache old sizes
+
+  async function load() {
+    const gen = generation;
+    const sheets = await getSheets();
+    const resp = await sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'sheets.properties(sheetId,title,gridProperties(rowCount,columnCount))',
+    });
+    const byTitle = new Map();
+    for (const s of resp.data.sheets || []) {
+      const p = s.properties || {};
+      byTitle.set(String(p.title), {
+        sheetId: p.sheetId,
+        title: p.title,
+        rowCount: p.gridProperties?.rowCount ?? null,
+        columnCount: p.gridProperties?.columnCount ?? null,
+      });
+    }
+    if (gen === generation) cache = { byTitle, ts: Date.now() };
+    return byTitle;
+  }
+
+  // Single shared request when several callers miss at once
+  function refresh() {
+    if (!inflight) inflight = load().finally(() => { inflight = null; });
+    return inflight;
+  }
+
+  async function getTab(title) {
+    const fresh = cache.byTitle && Date.now() - cache.ts < ttlMs;
+    let byTitle = fresh ? cache.byTitle : await refresh();
+    // Tab may have been created since the last load: retry once before failing
+    if (!byTitle.has(title) && fresh) byTitle = await refresh();
+    const tab = byTitle.get(title);
+    if (!tab) {
+      const err = new Error(`Sheet tab "${title}" not found in spreadsheet ${spreadsheetId} (available: ${Array.from(byTitle.keys()).join(', ') || 'none'})`);
+      err.code = 'SHEET_TAB_NOT_FOUND';
+      throw err;
+    }
+    return tab;
+  }
+
+  return {
+    getTab,
+    async getSheetId(title) { return (await getTab(title)).sheetId; },
+    invalidate() { cache = { byTitle: null, ts: 0 }; inflight = null; generation++; },
+    // Our own appends / deletes change the grid size by a known amount: track it without a refetch
+    adjustRowCount(title, delta) {
+      const tab = cache.byTitle && cache.byTitle.get(title);
+      if (tab && typeof tab.rowCount === 'number') tab.rowCount = Math.max(0, tab.rowCount + delta);
+    },
+  };
+}
+
+module.exports = { createSheetMeta };
@@ -0,0 +1,227 @@
+// === Google Sheets storage adapter ===
+// Implements the storage interface (readRows / readHeader / ensureSheet / appendRows / updateCells / deleteRow)
+// on top of the Sheets v4 API, with 429/503 exponential backoff on reads and cell updates.
+const { google } = require('googleapis');
+const { createSheetMeta } = require('./sheetMeta');
+
+function sleep(ms){ return new Promise(r=>setTimeout(r, ms)); }
+
+// === Utility: column to letter ===
+function columnToLetter(col) {
+  let letter = '';
+  while (col >= 0) {
+    letter = String.fromCharCode((col % 26) + 65) + letter;
+    col = Math.floor(col / 26) - 1;
+  }
+  return letter;
+}
+
+// === Exponential Backoff Retry helper ===
+async function fetchSheetWithRetry(sheets, spreadsheetId, range, retries = 5, delayMs = 2000) {
+  for (let i = 0; i < retries; i++) {
+    try {
+      const response = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range,
+      });
+      return response.data.values;
+    } catch (error) {
+      if ((error.code === 503 || error.code === 429) && i < retries - 1) {
+        const wait = delayMs * Math.pow(2, i);
+        console.warn(`Retrying fetch for ${range} (${i + 1}) after ${wait}ms...`);
+        await sleep(wait);
+      } else {
+        throw error;
+      }
+    }
+  }
+}
+
+// Sheets answers 400 for ranges past the grid; the cached grid size is then behind
+const isRangeError = err => (err?.code || err?.response?.status) === 400 && /grid limits|range/i.test(String(err?.message || ''));
+
+// === Batch write helper with backoff (429/503 aware) ===
+async function batchWriteValues({ sheets, spreadsheetId, updates, valueInputOption='USER_ENTERED', maxBatch=400, maxRetries=6 }) {
+  // updates: Array<{ range: 'Sheet!A1', values: [[...]] }>
+  const chunks = [];
+  for (let i = 0; i < updates.length; i += maxBatch) {
+    chunks.push(updates.slice(i, i + maxBatch));
+  }
+
+  for (const chunk of chunks) {
+    await withBackoff(() => sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        valueInputOption,
+        data: chunk
+      }
+    }), maxRetries);
+  }
+}
+
+// Generic 429/503 retry wrapper (honours Retry-After when Google sends it)
+async function withBackoff(fn, maxRetries = 6) {
+  let attempt = 0;
+  while (true) {
+    try {
+      return await fn();
+    } catch (err) {
+      const code = err?.code || err?.response?.status;
+      const retryAfter = Number(err?.response?.headers?.['retry-after'] || 0) * 1000;
+      if ((code === 429 || code === 503) && attempt < maxRetries) {
+        const backoff = Math.min(30000, 600 * 2 ** attempt); // up to 30s
+        await sleep(Math.max(backoff, retryAfter));
+        attempt++;
+        continue;
+      }
+      throw err;
+    }
+  }
+}
+
+const READ_CHUNK_ROWS = Math.max(100, Number(process.env.SHEET_READ_CHUNK_ROWS || 1000));
+
+function createSheetsStorage({ spreadsheetId, keyFile }) {
+  let clientPromise = null;
+
+  // One authorized client per process instead of one per request
+  function getSheets() {
+    if (!clientPromise) {
+      const auth = new google.auth.GoogleAuth({ keyFile, scopes: ['https://www.googleapis.com/auth/spreadsheets'] });
+      clientPromise = auth.getClient()
+        .then(client => google.sheets({ version: 'v4', auth: client }))
+        .catch(err => { clientPromise = null; throw err; });
+    }
+    return clientPromise;
+  }
+
+  // Tab IDs needed by deleteDimension are resolved by title from spreadsheet metadata
+  const meta = createSheetMeta({ getSheets, spreadsheetId });
+
+  return {
+    kind: 'sheets',
+    meta,
+
+    // Whole tab, paged in READ_CHUNK_ROWS blocks: every block up to the grid size (blank gaps
+    // included), then on until the first empty block in case the cached grid size is behind
+    // (another client added rows). Row positions are preserved across blank gaps.
+    async readRows(sheet) {
+      const sheets = await getSheets();
+      let rowCount = null;
+      try { rowCount = (await meta.getTab(sheet)).rowCount; } catch (e) {
+        if (e.code === 'SHEET_TAB_NOT_FOUND') throw e;
+        console.warn(`[sheets] metadata unavailable for ${sheet}, paging until an empty block:`, String(e.message || e));
+      }
+      const out = [];
+      for (let start = 1; ; start += READ_CHUNK_ROWS) {
+        const end = rowCount ? Math.min(start + READ_CHUNK_ROWS - 1, rowCount) : start + READ_CHUNK_ROWS - 1;
+        let values;
+        try {
+          values = (await fetchSheetWithRetry(sheets, spreadsheetId, `${sheet}!A${start}:ZZ${end}`)) || [];
+        } catch (err) {
+          if (!isRangeError(err)) throw err;
+          meta.invalidate();
+          if (rowCount && start > rowCount) break; // probing past the grid: there is nothing more
+          throw err;
+        }
+        if (values.length) {
+          // the API drops trailing blank rows; pad so indexes keep matching sheet rows
+          while (out.length < start - 1) out.push([]);
+          out.push(...values);
+        }
+        // an empty block ends the data only once the known grid is covered
+        if (!values.length && (!rowCount || end >= rowCount)) break;
+      }
+      return out;
+    },
+
+    async readHeader(sheet) {
+      const sheets = await getSheets();
+      const values = await fetchSheetWithRetry(sheets, spreadsheetId, `${sheet}!1:1`);
+      return (values && values[0]) || [];
+    },
+
+    // Create the tab if it does not exist and write `headers` into an empty row 1
+    async ensureSheet(sheet, headers = []) {
+      const sheets = await getSheets();
+      try {
+        await meta.getTab(sheet);
+      } catch (e) {
+        if (e.code !== 'SHEET_TAB_NOT_FOUND') throw e;
+        await sheets.spreadsheets.batchUpdate({
+          spreadsheetId,
+          requestBody: { requests: [{ addSheet: { properties: { title: sheet } } }] }
+        });
+        meta.invalidate();
+      }
+      if (!headers.length) return;
+      const current = await this.readHeader(sheet);
+      if (!current.length) {
+        await this.updateCells(sheet, headers.map((value, col) => ({ row: 0, col, value })));
+      }
+    },
+
+    async appendRows(sheet, rows) {
+      if (!rows.length) return;
+      const sheets = await getSheets();
+      // Not retried: a 503 after a successful append would duplicate the rows
+      try {
+        await sheets.spreadsheets.values.append({
+          spreadsheetId,
+          range: `${sheet}!A1`,
+          valueInputOption: 'USER_ENTERED',
+          insertDataOption: 'INSERT_ROWS',
+          requestBody: { values: rows },
+        });
+        meta.adjustRowCount(sheet, rows.length); // INSERT_ROWS grew the grid by exactly these rows
+      } catch (err) {
+        meta.invalidate(); // the rows may still have landed: grid size unknown
+        throw err;
+      }
+    },
+
+    async updateCells(sheet, updates) {
+      if (!updates.length) return;
+      const sheets = await getSheets();
+      await batchWriteValues({
+        sheets, spreadsheetId,
+        updates: updates.map(u => ({ range: `${sheet}!${columnToLetter(u.col)}${u.row + 1}`, values: [[u.value]] }))
+      }).catch(err => {
+        if (isRangeError(err)) meta.invalidate();
+        throw err;
+      });
+    },
+
+    async deleteRow(sheet, rowIndex) {
+      const sheets = await getSheets();
+      const sheetId = await meta.getSheetId(sheet);
+      // Not retried either: a replayed deleteDimension would remove the next row
+      try {
+        await sheets.spreadsheets.batchUpdate({
+          spreadsheetId,
+          requestBody: {
+            requests: [
+              {
+                deleteDimension: {
+                  range: {
+                    sheetId,
+                    dimension: 'ROWS',
+                    startIndex: rowIndex,
+                    endIndex: rowIndex + 1,
+                  }
+                }
+              }
+            ]
+          }
+        });
+      } catch (err) {
+        // Tab was probably recreated under the same title: drop the cached id for the next call
+        meta.invalidate();
+        throw err;
+      }
+      meta.adjustRowCount(sheet, -1);
+    },
+  };
+}
+
+module.exports = { createSheetsStorage, batchWriteValues, fetchSheetWithRetry, columnToLetter };
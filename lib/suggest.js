@@ -0,0 +1,147 @@
+// === Typeahead suggestions: prefix + fuzzy lookup over a character trie ===
+// build(terms) replaces the index; terms: [{ text, kind, count, ...extra }] (same text + kind are
+// merged, counts summed). Every word start of a term is indexed, so "rel" finds "Public Relations".
+// Ranking: log(1 + count) + popularityWeight * log(1 + recent searches for the term); fuzzy matches
+// (edit distance 1 from 4 typed chars, 2 from 6) only fill up what the exact prefixes leave and score lower.
+// Search popularity decays exponentially (halfLifeMs), fed by recordQuery(normalized query).
+
+const norm = s => String(s || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).join(' ');
+
+function createSuggestIndex({ popularityWeight = 0.75, halfLifeMs = 24 * 60 * 60 * 1000, maxPopularTerms = 5000 } = {}) {
+  let root = { children: new Map(), ids: [] };
+  let terms = [];
+  let builtAt = null;
+  const popularity = new Map(); // normalized term -> { score, ts }
+
+  function insert(node, key, id) {
+    for (const ch of key) {
+      if (!node.children.has(ch)) node.children.set(ch, { children: new Map(), ids: [] });
+      node = node.children.get(ch);
+    }
+    node.ids.push(id);
+  }
+
+  function build(input) {
+    const merged = new Map();
+    for (const t of input) {
+      const key = norm(t.text);
+      if (!key) continue;
+      const id = `${t.kind}\u0000${key}`;
+      const cur = merged.get(id);
+      if (cur) cur.count += t.count || 1;
+      else merged.set(id, { ...t, text: String(t.text).trim(), key, count: t.count || 1 });
+    }
+    const nextTerms = [...merged.values()];
+    const nextRoot = { children: new Map(), ids: [] };
+    nextTerms.forEach((t, id) => {
+      const words = t.key.split(' ');
+      for (let i = 0; i < words.length; i++) insert(nextRoot, words.slice(i).join(' '), id);
+    });
+    // Swap in one step so concurrent lookups never see a half-built trie
+    root = nextRoot;
+    terms = nextTerms;
+    builtAt = new Date().toISOString();
+    return { terms: terms.length };
+  }
+
+  function decayed(entry, now) {
+    return entry.score * Math.pow(0.5, (now - entry.ts) / halfLifeMs);
+  }
+
+  // Counts every 1-3 word run of the query, so "seo audit" also makes "seo" more popular
+  function recordQuery(q, now = Date.now()) {
+    const words = norm(q).split(' ').filter(Boolean);
+    const keys = new Set();
+    for (let i = 0; i < words.length; i++) {
+      for (let n = 1; n <= 3 && i + n <= words.length; n++) keys.add(words.slice(i, i + n).join(' '));
+    }
+    for (const key of keys) {
+      const cur = popularity.get(key);
+      popularity.set(key, { score: (cur ? decayed(cur, now) : 0) + 1, ts: now });
+    }
+    if (popularity.size > maxPopularTerms) {
+      const coldest = [...popularity.entries()]
+        .sort((a, b) => decayed(a[1], now) - decayed(b[1], now))
+        .slice(0, popularity.size - maxPopularTerms);
+      coldest.forEach(([key]) => popularity.delete(key));
+    }
+  }
+
+  function popularityOf(key, now) {
+    const entry = popularity.get(key);
+    return entry ? decayed(entry, now) : 0;
+  }
+
+  function collect(node, out) {
+    node.ids.forEach(id => out.add(id));
+    node.children.forEach(child => collect(child, out));
+  }
+
+  // Ids of terms with an indexed key whose prefix is within maxDist edits of the whole query
+  // (Levenshtein rows carried down the trie; branches that can no longer match are pruned).
+  // Only prefixes of at least query.length - maxDist chars count, so "sen" does not match via "e".
+  function fuzzyIds(query, maxDist) {
+    const out = new Set();
+    const minDepth = Math.max(1, query.length - maxDist);
+    const first = Array.from({ length: query.length + 1 }, (_, i) => i);
+    const walk = (node, ch, prev, depth) => {
+      const row = [prev[0] + 1];
+      for (let i = 1; i <= query.length; i++) {
+        const cost = query[i - 1] === ch ? 0 : 1;
+        row.push(Math.min(row[i - 1] + 1, prev[i] + 1, prev[i - 1] + cost));
+      }
+      if (depth >= minDepth && row[query.length] <= maxDist) return collect(node, out);
+      if (Math.min(...row) > maxDist) return;
+      node.children.forEach((child, c) => walk(child, c, row, depth + 1));
+    };
+    root.children.forEach((child, c) => walk(child, c, first, 1));
+    return out;
+  }
+
+  // -> [{ text, kind, count, popularity, score, fuzzy, ...extra }] best first
+  function suggest(q, { limit = 10, kinds = null, now = Date.now() } = {}) {
+    const query = norm(q);
+    if (!query) return [];
+    const allowed = id => !kinds || kinds.includes(terms[id].kind);
+
+    let node = root;
+    for (const ch of query) {
+      node = node && node.children.get(ch);
+      if (!node) break;
+    }
+    const exact = new Set();
+    if (node) collect(node, exact);
+    const fuzzy = new Set();
+    const exactCount = [...exact].filter(allowed).length;
+    if (exactCount < limit && query.length >= 4) {
+      fuzzyIds(query, query.length >= 6 ? 2 : 1).forEach(id => { if (!exact.has(id)) fuzzy.add(id); });
+    }
+
+    const score = (t, isFuzzy) => {
+      const pop = popularityOf(t.key, now);
+      let s = Math.log1p(t.count) + popularityWeight * Math.log1p(pop);
+      if (t.key.startsWith(query)) s += 0.5; // whole-term prefix beats a later word
+      if (isFuzzy) s *= 0.5;
+      return { pop, s };
+    };
+    const out = [];
+    for (const [ids, isFuzzy] of [[exact, false], [fuzzy, true]]) {
+      for (const id of ids) {
+        if (!allowed(id)) continue;
+        const { key, ...t } = terms[id];
+        const { pop, s } = score(terms[id], isFuzzy);
+        out.push({ ...t, popularity: Number(pop.toFixed(3)), score: Number(s.toFixed(4)), fuzzy: isFuzzy });
+      }
+    }
+    return out
+      .sort((a, b) => Number(a.fuzzy) - Number(b.fuzzy) || b.score - a.score || a.text.localeCompare(b.text))
+      .slice(0, limit);
+  }
+
+  return {
+    build, suggest, recordQuery,
+    stats: () => ({ terms: terms.length, popularTerms: popularity.size, builtAt }),
+  };
+}
+
+module.exports = { createSuggestIndex };
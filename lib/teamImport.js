@@ -0,0 +1,73 @@
+// === Bulk team import: normalize + validate incoming rows before they reach the teams tab ===
+// Input rows are plain objects (from a JSON array or a parsed CSV with a header line).
+// Column names are matched case-insensitively; rateN/costN are accepted for quantityN/summN.
+const { headerKey } = require('./sheetSchema');
+
+const range10 = fn => Array.from({ length: 10 }, (_, i) => fn(i + 1));
+
+// Team columns an import may set; everything per specialist hangs off spN
+const SPECIALIST_FIELDS = ['hours', 'quantity', 'summ', 'spcv'];
+const TEAM_IMPORT_COLUMNS = ['TeamName', 'Type', 'Type2'].concat(
+  ...range10(i => [`sp${i}`].concat(SPECIALIST_FIELDS.map(f => `${f}${i}`)))
+);
+const NUMERIC = /^(hours|quantity|summ)\d+$/;
+
+const canonicalByKey = new Map(TEAM_IMPORT_COLUMNS.map(c => [headerKey(c), c]));
+range10(i => {
+  canonicalByKey.set(`rate${i}`, `quantity${i}`);
+  canonicalByKey.set(`cost${i}`, `summ${i}`);
+});
+
+// First CSV line is the header row; returns header-keyed objects
+function csvRowsToObjects(rows) {
+  const [header = [], ...body] = rows;
+  const keys = header.map(h => String(h || '').trim());
+  return body.map(r => keys.reduce((obj, k, i) => {
+    if (k) obj[k] = r[i] ?? '';
+    return obj;
+  }, {}));
+}
+
+// Number-ish cell ("1 200", "35.5", "40,5") -> Number, or NaN
+function toNumber(v) {
+  const s = String(v).trim().replace(/\s+/g, '').replace(/,(\d{1,2})$/, '.$1');
+  return s === '' ? NaN : Number(s);
+}
+
+// raw: one input object; extraColumns: other header names present in the teams tab
+// Returns { record, errors, ignored } — record uses canonical column names, errors are strings
+function normalizeImportRow(raw, extraColumns = []) {
+  const extra = new Map(extraColumns.map(c => [headerKey(c), String(c).trim()]));
+  const record = {};
+  const errors = [];
+  const ignored = [];
+
+  for (const [key, value] of Object.entries(raw || {})) {
+    const k = headerKey(key);
+    const col = canonicalByKey.get(k) || extra.get(k);
+    const v = value === null || value === undefined ? '' : String(value).trim();
+    if (!col) {
+      if (v !== '') ignored.push(String(key).trim());
+      continue;
+    }
+    if (NUMERIC.test(col) && v !== '') {
+      const n = toNumber(v);
+      if (!Number.isFinite(n) || n < 0) errors.push(`${col} must be a non-negative number (got "${v}")`);
+      else record[col] = String(n);
+      continue;
+    }
+    record[col] = v;
+  }
+
+  if (!record.TeamName) errors.push('TeamName is required');
+  range10(i => {
+    if (record[`sp${i}`]) return;
+    SPECIALIST_FIELDS
+      .filter(f => record[`${f}${i}`])
+      .forEach(f => errors.push(`${f}${i} is set but sp${i} is empty`));
+  });
+
+  return { record, errors, ignored };
+}
+
+module.exports = { TEAM_IMPORT_COLUMNS, csvRowsToObjects, normalizeImportRow };
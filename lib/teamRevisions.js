@@ -0,0 +1,82 @@
+// === Team profile revisions: numbered whole-row snapshots per team ===
+// Row: teamKey | revision | time (ISO) | actor | route | note | data (JSON of the header-keyed team row)
+// teamKey is the team's `timestamp` cell — the same key /updateTeam uses, and it survives renames.
+const { rowsToObjects } = require('./sheetSchema');
+
+const REVISION_HEADERS = ['teamKey', 'revision', 'time', 'actor', 'route', 'note', 'data'];
+
+function createTeamRevisions({ storage, sheet }) {
+  let ready = null;
+  const ensure = () => {
+    if (!ready) ready = storage.ensureSheet(sheet, REVISION_HEADERS).catch(err => { ready = null; throw err; });
+    return ready;
+  };
+
+  async function list(teamKey) {
+    await ensure();
+    const key = String(teamKey || '').trim();
+    return rowsToObjects(await storage.readRows(sheet))
+      .filter(r => r.teamKey === key)
+      .map(r => {
+        let data = {};
+        try { data = JSON.parse(r.data || '{}'); } catch (_) {}
+        return { ...r, revision: Number(r.revision), data };
+      })
+      .sort((a, b) => a.revision - b.revision);
+  }
+
+  async function get(teamKey, revision) {
+    return (await list(teamKey)).find(r => r.revision === Number(revision)) || null;
+  }
+
+  // Appends the next revision number; pass `existing` to skip re-reading the tab
+  async function append({ teamKey, data, actor = '', route = '', note = '' }, existing) {
+    const revs = existing || await list(teamKey);
+    const revision = (revs.length ? revs[revs.length - 1].revision : 0) + 1;
+    await storage.appendRows(sheet, [[
+      String(teamKey).trim(), revision, new Date().toISOString(), actor, route, note, JSON.stringify(data)
+    ]]);
+    return revision;
+  }
+
+  // Before the first tracked save, keep the untouched row as revision 1 so it can be restored
+  async function recordSave({ teamKey, before, after, actor, route, note }) {
+    const revs = await list(teamKey);
+    if (!revs.length && before) {
+      await append({ teamKey, data: before, actor: '', route, note: 'baseline' }, revs);
+      revs.push({ revision: 1 });
+    }
+    return append({ teamKey, data: after, actor, route, note }, revs);
+  }
+
+  // Revision 1 for many new teams at once (bulk import): one read of the tab, one append
+  async function recordNew(entries) {
+    if (!entries.length) return [];
+    await ensure();
+    const last = new Map();
+    rowsToObjects(await storage.readRows(sheet)).forEach(r => {
+      last.set(r.teamKey, Math.max(last.get(r.teamKey) || 0, Number(r.revision) || 0));
+    });
+    const time = new Date().toISOString();
+    const rows = entries.map(({ teamKey, data, actor = '', route = '', note = '' }) => {
+      const key = String(teamKey).trim();
+      const revision = (last.get(key) || 0) + 1;
+      last.set(key, revision);
+      return [key, revision, time, actor, route, note, JSON.stringify(data)];
+    });
+    await storage.appendRows(sheet, rows);
+    return rows.map(r => r[1]);
+  }
+
+  return { list, get, append, recordSave, recordNew };
+}
+
+// Field-by-field comparison of two snapshots
+function diffSnapshots(a = {}, b = {}) {
+  const keys = Array.from(new Set(Object.keys(a).concat(Object.keys(b))));
+  return keys
+    .filter(k => String(a[k] ?? '') !== String(b[k] ?? ''))
+    .map(k => ({ field: k, from: a[k] ?? '', to: b[k] ?? '' }));
+}
+
+module.exports = { createTeamRevisions, diffSnapshots, REVISION_HEADERS };
@@ -0,0 +1,99 @@
+// === Soft delete: rows are moved into a trash tab instead of being dropped ===
+// Trash row: trashId | deletedAt (ISO) | deletedBy | source | recordId | data (JSON of the header-keyed row)
+// Restore maps `data` back by header name, so it survives column moves in the source tab.
+const { randomUUID } = require('crypto');
+const { rowsToObjects, mapRecordToRow } = require('./sheetSchema');
+
+const TRASH_HEADERS = ['trashId', 'deletedAt', 'deletedBy', 'source', 'recordId', 'data'];
+
+// sources: { [name]: { sheet, schema? } }, e.g. { leads: { sheet: 'LeadsCollty_Responses' } }
+function createTrash({ storage, sheet, sources }) {
+  let ready = null;
+  const ensure = () => {
+    if (!ready) ready = storage.ensureSheet(sheet, TRASH_HEADERS).catch(err => { ready = null; throw err; });
+    return ready;
+  };
+
+  // restore/purge are the only deletes from the trash tab and run one at a time; everything else only
+  // appends below, so row positions read inside one of them stay valid until it finishes
+  let queue = Promise.resolve();
+  const serialized = fn => {
+    const run = queue.catch(() => {}).then(fn);
+    queue = run;
+    return run;
+  };
+
+  function sourceOf(name) {
+    const src = sources[name];
+    if (!src) throw Object.assign(new Error(`Unknown trash source "${name}"`), { status: 400 });
+    return src;
+  }
+
+  // rows/rowIndex: as returned by storage.readRows for the source tab
+  async function moveToTrash({ source, rows, rowIndex, recordId, actor }) {
+    const src = sourceOf(source);
+    await ensure();
+    const data = rowsToObjects([rows[0], rows[rowIndex]])[0];
+    const trashId = randomUUID();
+    // Write the trash copy first: if the delete then fails we keep a duplicate, never lose the row
+    await storage.appendRows(sheet, [[
+      trashId, new Date().toISOString(), actor || '', source, recordId || '', JSON.stringify(data)
+    ]]);
+    await storage.deleteRow(src.sheet, rowIndex);
+    return { trashId };
+  }
+
+  async function readEntries() {
+    await ensure();
+    const rows = await storage.readRows(sheet);
+    return rowsToObjects(rows).map((e, i) => ({ ...e, rowIndex: i + 1 }));
+  }
+
+  async function list({ source } = {}) {
+    const entries = await readEntries();
+    return entries
+      .filter(e => e.trashId && (!source || e.source === source))
+      .map(({ rowIndex: _omit, data, ...e }) => {
+        let parsed = {};
+        try { parsed = JSON.parse(data || '{}'); } catch (_) {}
+        return { ...e, data: parsed };
+      })
+      .sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+  }
+
+  function restore(trashId) {
+    return serialized(async () => {
+      const entry = (await readEntries()).find(e => e.trashId === trashId);
+      if (!entry) return null;
+      const src = sourceOf(entry.source);
+      const headers = await storage.readHeader(src.sheet);
+      const data = JSON.parse(entry.data || '{}');
+      const { row, unknownKeys } = mapRecordToRow(headers, data, src.schema);
+      await storage.appendRows(src.sheet, [row]);
+      await storage.deleteRow(sheet, entry.rowIndex);
+      return { source: entry.source, recordId: entry.recordId, droppedColumns: unknownKeys };
+    });
+  }
+
+  // Permanently remove trash entries deleted more than retentionMs ago;
+  // -> { purged, entries: [{ trashId, deletedAt, deletedBy, source, recordId }] }
+  function purge(retentionMs) {
+    return serialized(async () => {
+      const cutoff = Date.now() - retentionMs;
+      // One read, then bottom-up deletes so the earlier positions stay valid
+      const expired = (await readEntries())
+        .filter(e => e.trashId && Date.parse(e.deletedAt) < cutoff)
+        .sort((a, b) => b.rowIndex - a.rowIndex);
+      const entries = [];
+      for (const { rowIndex, trashId, deletedAt, deletedBy, source, recordId } of expired) {
+        await storage.deleteRow(sheet, rowIndex);
+        entries.push({ trashId, deletedAt, deletedBy, source, recordId });
+      }
+      return { purged: entries.length, entries };
+    });
+  }
+
+  return { moveToTrash, list, restore, purge };
+}
+
+module.exports = { createTrash, TRASH_HEADERS };
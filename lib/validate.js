@@ -0,0 +1,138 @@
+// === Declarative request validation ===
+// Route schema: { query?, body?, writable? }
+//   query / body: { fields: { name: spec }, required?: [...], anyOf?: [[...], ...], allowUnknown?: bool,
+//                   keys?: [...] (record identifiers: always sendable, never checked against writable) }
+//   spec:         { type: 'string'|'number'|'integer'|'boolean'|'email'|'date'|'array'|'object' (or an array of types),
+//                   enum?, min?, max?, maxLength?, pattern?, items?: spec }
+//   writable:     { [role]: [fieldNames] | '*' } — body fields a role may send (admin falls back to manager)
+// Field names match case- and whitespace-insensitively ("Payment status" == "PaymentStatus").
+// Failures: 400 { error: 'Validation failed', fields: [{ field, location, message }] };
+// fields a role may not write: 403 { error: 'Fields not writable', fields: [...] }.
+const { headerKey } = require('./sheetSchema');
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Cache busters and campaign / click ids are tolerated on every query string
+const IGNORED_QUERY = /^(_|utm_|fbclid$|gclid$)/i;
+// requestActor() may read body.actor on unauthenticated routes
+const ALWAYS_ALLOWED_BODY = ['actor'];
+// ?v=2 opts into the response envelope on every route (lib/envelope.js)
+const ALWAYS_ALLOWED_QUERY = ['v'];
+
+const isNumeric = v => (typeof v === 'number' && Number.isFinite(v)) ||
+  (typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v.trim())));
+
+function typeOk(type, v) {
+  switch (type) {
+    case 'string': return typeof v === 'string' || typeof v === 'number';
+    case 'number': return isNumeric(v) || v === '';
+    case 'integer': return (isNumeric(v) && Number.isInteger(Number(v))) || v === '';
+    case 'boolean': return typeof v === 'boolean' || v === 'true' || v === 'false';
+    case 'email': return typeof v === 'string' && EMAIL.test(v.trim());
+    case 'date': return typeof v === 'string' && (v === '' || !Number.isNaN(Date.parse(v)));
+    case 'array': return Array.isArray(v);
+    case 'object': return Boolean(v) && typeof v === 'object' && !Array.isArray(v);
+    default: return true;
+  }
+}
+
+// Returns an error message for one value, or null
+function checkValue(v, spec) {
+  if (v === undefined || v === null) return null;
+  const types = [].concat(spec.type || []);
+  if (types.length && !types.some(t => typeOk(t, v))) return `must be ${types.join(' or ')}`;
+  if (spec.enum && v !== '' && !spec.enum.some(e => String(e).toLowerCase() === String(v).trim().toLowerCase())) {
+    return `must be one of: ${spec.enum.join(', ')}`;
+  }
+  if (isNumeric(v) && types.some(t => t === 'number' || t === 'integer')) {
+    const n = Number(v);
+    if (spec.min !== undefined && n < spec.min) return `must be >= ${spec.min}`;
+    if (spec.max !== undefined && n > spec.max) return `must be <= ${spec.max}`;
+  }
+  if (typeof v === 'string' && spec.maxLength !== undefined && v.length > spec.maxLength) return `must be at most ${spec.maxLength} characters`;
+  if (typeof v === 'string' && spec.pattern && v !== '' && !spec.pattern.test(v)) return 'has an invalid format';
+  if (Array.isArray(v) && spec.items) {
+    for (let i = 0; i < v.length; i++) {
+      const msg = spec.items.fields ? null : checkValue(v[i], spec.items);
+      if (msg) return `[${i}] ${msg}`;
+    }
+  }
+  return null;
+}
+
+function validateObject(obj, part, location, prefix = '') {
+  const errors = [];
+  const specs = new Map(Object.entries(part.fields || {}).map(([k, s]) => [headerKey(k), { name: k, spec: s }]));
+  const present = new Set();
+  for (const [key, value] of Object.entries(obj || {})) {
+    const k = headerKey(key);
+    if (location === 'query' && (IGNORED_QUERY.test(key) || ALWAYS_ALLOWED_QUERY.includes(key))) continue;
+    if (location === 'body' && !prefix && ALWAYS_ALLOWED_BODY.includes(key)) continue;
+    const hit = specs.get(k);
+    if (!hit) {
+      if (!part.allowUnknown) errors.push({ field: prefix + key, location, message: 'is not allowed' });
+      continue;
+    }
+    if (value !== undefined && value !== null && value !== '') present.add(hit.name);
+    const msg = checkValue(value, hit.spec);
+    if (msg) { errors.push({ field: prefix + key, location, message: msg }); continue; }
+    // store enum values in their canonical spelling ("completed" -> "Completed" if that is the listed form)
+    if (hit.spec.enum && typeof value === 'string' && value !== '') {
+      obj[key] = hit.spec.enum.find(e => String(e).toLowerCase() === value.trim().toLowerCase());
+    }
+    // JSON bodies get real booleans so "false" can never pass an `if (flag)`; query strings stay strings
+    if (location === 'body' && hit.spec.type === 'boolean' && typeof value === 'string') obj[key] = value === 'true';
+    // nested object schemas: { type: 'object', fields } or arrays of them
+    if (hit.spec.fields && typeOk('object', value)) errors.push(...validateObject(value, hit.spec, location, `${prefix}${key}.`));
+    if (hit.spec.items?.fields && Array.isArray(value)) {
+      value.forEach((item, i) => {
+        if (!typeOk('object', item)) errors.push({ field: `${prefix}${key}[${i}]`, location, message: 'must be object' });
+        else errors.push(...validateObject(item, hit.spec.items, location, `${prefix}${key}[${i}].`));
+      });
+    }
+  }
+  for (const r of part.required || []) {
+    if (!present.has(r)) errors.push({ field: prefix + r, location, message: 'is required' });
+  }
+  if (part.anyOf && !part.anyOf.some(group => group.every(f => present.has(f)))) {
+    errors.push({ field: prefix + part.anyOf.map(g => g.join('+')).join(' | '), location, message: 'one of these is required' });
+  }
+  return errors;
+}
+
+// Body fields the caller's role may not write; [] when the schema has no writable rules
+function unwritableFields(schema, role, body) {
+  if (!schema.writable) return [];
+  const rule = schema.writable[role] ?? (role === 'admin' ? schema.writable.manager : undefined);
+  if (rule === '*') return [];
+  const allowed = new Set((rule || []).map(headerKey));
+  const keyFields = new Set((schema.body?.keys || []).map(headerKey));
+  return Object.keys(body || {}).filter(k => {
+    const hk = headerKey(k);
+    return !ALWAYS_ALLOWED_BODY.includes(k) && !keyFields.has(hk) && !allowed.has(hk);
+  });
+}
+
+function validate(schema) {
+  return (req, res, next) => {
+    const errors = [];
+    if (schema.query) errors.push(...validateObject(req.query, schema.query, 'query'));
+    if (schema.body) {
+      const body = req.body;
+      if (body !== undefined && !typeOk('object', body)) errors.push({ field: '(body)', location: 'body', message: 'must be a JSON object' });
+      else errors.push(...validateObject(body || {}, schema.body, 'body'));
+    }
+    if (errors.length) return res.status(400).json({ error: 'Validation failed', fields: errors });
+
+    const role = req.auth?.role || 'public';
+    const denied = unwritableFields(schema, role, req.body);
+    if (denied.length) {
+      return res.status(403).json({
+        error: 'Fields not writable',
+        fields: denied.map(f => ({ field: f, location: 'body', message: `is not writable for role ${role}` })),
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { validate, validateObject, checkValue };
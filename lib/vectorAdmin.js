@@ -0,0 +1,58 @@
+// === Guard rails for vector administration (recreate / reindex of the Qdrant collection) ===
+// - confirmations: destructive actions are two-step; the first call returns a short-lived,
+//   single-use token bound to the action, the caller and the request parameters (e.g. dim/model),
+//   the second call presents it with the same parameters
+// - lock: one vector operation at a time per process; a second one gets 409 instead of racing
+const { randomBytes } = require('crypto');
+
+// Key order and undefined values must not make the same parameters compare unequal
+const canonical = params => JSON.stringify(Object.keys(params || {}).sort()
+  .filter(k => params[k] !== undefined)
+  .map(k => [k, params[k]]));
+
+function createVectorAdmin({ confirmTtlMs = 2 * 60 * 1000 } = {}) {
+  const pending = new Map(); // token -> { action, actor, params (canonical JSON), expiresAt }
+  let running = null;        // { action, actor, startedAt }
+
+  function sweep() {
+    const now = Date.now();
+    for (const [t, p] of pending) if (p.expiresAt <= now) pending.delete(t);
+  }
+
+  function issueConfirmation(action, actor, params = {}) {
+    sweep();
+    const token = randomBytes(18).toString('base64url');
+    const expiresAt = Date.now() + confirmTtlMs;
+    pending.set(token, { action, actor, params: canonical(params), expiresAt });
+    return { confirmToken: token, action, params, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  // true only for an unexpired token issued for this action, actor and params; tokens are single-use
+  function consumeConfirmation(action, actor, token, params = {}) {
+    sweep();
+    const p = pending.get(String(token || ''));
+    if (!p || p.action !== action || p.actor !== actor || p.params !== canonical(params)) return false;
+    pending.delete(String(token));
+    return true;
+  }
+
+  // Runs fn() holding the lock; throws a 409 error (with .running) when another operation holds it
+  async function withLock(action, actor, fn) {
+    if (running) {
+      const err = new Error(`Another vector operation is running (${running.action})`);
+      err.status = 409;
+      err.running = running;
+      throw err;
+    }
+    running = { action, actor, startedAt: new Date().toISOString() };
+    try {
+      return await fn();
+    } finally {
+      running = null;
+    }
+  }
+
+  return { issueConfirmation, consumeConfirmation, withLock, status: () => running };
+}
+
+module.exports = { createVectorAdmin };
@@ -1,14 +1,40 @@
 // === server.js (Final version with Caching & 429/503 exponential backoff) ===
 const express = require('express');
-const { google } = require('googleapis');
 const cors = require('cors');
 
 require('dotenv').config();
 const { randomUUID, createHash } = require('crypto');
+const { createStorage } = require('./lib/storage');
+const { createSheetCache } = require('./lib/sheetCache');
+const { createTrash } = require('./lib/trash');
+const { createAuditLog } = require('./lib/audit');
+const { createTeamRevisions, diffSnapshots } = require('./lib/teamRevisions');
+const { parseCsv } = require('./lib/csv');
+const { csvRowsToObjects, normalizeImportRow } = require('./lib/teamImport');
+const { pickColumns, sendExport } = require('./lib/export');
+const { createAuth, isStaff, partnerKey, canAccessLead, canAccessTeam } = require('./lib/auth');
+const { createVectorAdmin } = require('./lib/vectorAdmin');
+const { createMemoryStore, createRateLimiter } = require('./lib/rateLimit');
+const { validate } = require('./lib/validate');
+const { schemas, ADD_ORDER_IGNORED_FIELDS } = require('./lib/requestSchemas');
+const { envelope, envelopeErrors, degrade } = require('./lib/envelope');
+const { normalizeQuery, splitCSVExact, csvHasTagExact, csvHasAcronym, acronym, mmrDiversifyOrder } = require('./lib/searchRanking');
+const { createSearchPipeline, loadRankingProfiles } = require('./lib/searchPipeline');
+const { createSearchDictionary, sheetDictionarySource, fileDictionarySource } = require('./lib/searchDictionary');
+const { FACET_KEY, FACET_INDEXES, withFacetPayload, stripFacetPayload, parseFilters, toQdrantFilter, matchesFilters, facetCounts } = require('./lib/searchFacets');
+const { createBm25Index } = require('./lib/bm25');
+const { createSuggestIndex } = require('./lib/suggest');
+const { createSearchAnalytics } = require('./lib/searchAnalytics');
+const { createSpamGuard, FORM_TOKEN_FIELD, HONEYPOT_FIELDS } = require('./lib/spamGuard');
+const { createQuarantine } = require('./lib/quarantine');
+const { LEAD_SCHEMA, TEAM_SCHEMA, rowsToObjects, findMissingColumns, mapRecordToRow, flattenSpecialists } = require('./lib/sheetSchema');
+const { LEAD_ID_COLUMN, leadRefFromBody, findLeadRowIndex, leadIdAt, ensureLeadIdColumn, backfillLeadIds } = require('./lib/leadIds');
 // --- Vectors / Qdrant + Jina embeddings setup ---
 const QDRANT_URL = process.env.QDRANT_URL;
 const QDRANT_API_KEY = process.env.QDRANT_API_KEY;
 const JINA_API_KEY = process.env.JINA_API_KEY;
+// Per-request cap so a hung Qdrant cannot hold a request open forever (0 = no limit)
+const QDRANT_TIMEOUT_MS = Number(process.env.QDRANT_TIMEOUT_MS ?? 30000);
 
 // Embedding/model config (override via ENV without code changes)
 const JINA_MODEL = process.env.JINA_MODEL || 'jina-embeddings-v4';
@@ -31,18 +57,44 @@ function vectorsEnabled() {
 const app = express();
 // Disable etag/304 and force no-store to avoid empty 304 bodies confusing the client
 app.set('etag', false);
+// Behind a proxy (Render, nginx) req.ip is the proxy unless told how many hops to trust; without it
+// every visitor shares the proxy's IP rate-limit bucket. Unset = 1 hop on Render (RENDER is set
+// there), direct connections elsewhere; TRUST_PROXY=false forces direct.
+const trustProxy = process.env.TRUST_PROXY || (process.env.RENDER ? '1' : '');
+if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' ? true : trustProxy);
+}
 app.use((req, res, next) => {
   res.set('Cache-Control', 'no-store');
   res.set('Pragma', 'no-cache');
   res.set('Expires', '0');
   next();
 });
+// v2 response envelope (opt-in per request, lib/envelope.js); mounted ahead of CORS, body parsing,
+// auth and rate limiting so their errors reach v2 clients enveloped too
+app.use(envelope);
 const port = process.env.PORT || 3000;
 
-const path = '/etc/secrets/credentials.json';
-const spreadsheetId = '1GIl15j9L1-KPyn2evruz3F0sscNo308mAC7huXm0WkY';
-const sheetOrders = 'DataBaseCollty_Teams';
-const sheetLeads = 'LeadsCollty_Responses';
+// Spreadsheet and tab titles are per-environment (staging copies of the sheet use other IDs)
+const path = process.env.GOOGLE_CREDENTIALS_PATH || '/etc/secrets/credentials.json';
+const spreadsheetId = process.env.SPREADSHEET_ID || '1GIl15j9L1-KPyn2evruz3F0sscNo308mAC7huXm0WkY';
+const sheetOrders = process.env.SHEET_TEAMS || 'DataBaseCollty_Teams';
+const sheetLeads = process.env.SHEET_LEADS || 'LeadsCollty_Responses';
+const sheetTasks = process.env.SHEET_TASKS || 'Database_Projectmanagement';
+const sheetTrash = process.env.SHEET_TRASH || 'Trash';
+const sheetAudit = process.env.SHEET_AUDIT || 'AuditLog';
+const sheetTeamRevisions = process.env.SHEET_TEAM_REVISIONS || 'TeamRevisions';
+const sheetQuarantine = process.env.SHEET_QUARANTINE || 'LeadsQuarantine';
+const sheetSearchDictionary = process.env.SHEET_SEARCH_DICTIONARY || 'SearchDictionary';
+
+// Storage backend (Google Sheets by default, local JSON files with STORAGE_BACKEND=file)
+const storage = createStorage({ spreadsheetId, keyFile: path });
+
+// Numeric env setting, or fallback when unset / not a number
+function envNumber(name, fallback) {
+  const v = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(v) ? v : fallback;
+}
 
 
 const allowed = [
@@ -56,7 +108,8 @@ app.use(cors({
     return cb(ok ? null : new Error('Not allowed by CORS'), ok);
   },
   methods: ['GET','HEAD','PUT','PATCH','POST','DELETE','OPTIONS'],
-  allowedHeaders: ['Content-Type','Authorization'],
+  allowedHeaders: ['Content-Type','Authorization','X-API-Key','X-Actor','X-API-Version'],
+  exposedHeaders: ['Retry-After','RateLimit-Limit','RateLimit-Remaining','RateLimit-Reset','X-Search-Profile','X-Search-Mode','X-Search-Id'],
   credentials: true,
   maxAge: 86400,
 }));
@@ -65,75 +118,216 @@ app.options('*', cors());
 
 app.use(express.json());
 
+// === Auth: bearer token or X-API-Key on every request; routes declare roles with allow(...) ===
+// AUTH_DISABLED=true treats every caller as admin (local development only).
+const authn = createAuth({
+  secret: process.env.AUTH_SECRET || '',
+  apiKeys: process.env.AUTH_API_KEYS || '',
+  disabled: process.env.AUTH_DISABLED === 'true',
+});
+const { allow } = authn;
+if (process.env.AUTH_DISABLED === 'true') console.warn('[auth] AUTH_DISABLED=true: every request runs as admin');
+else if (!process.env.AUTH_SECRET) console.warn('[auth] AUTH_SECRET not set: bearer tokens are rejected, only API keys work');
+app.use(authn.authenticate);
+
+// === Rate limits (see lib/rateLimit.js); keyed per credential when authenticated, else per IP ===
+// RATE_LIMIT_<BUDGET>_IP / RATE_LIMIT_<BUDGET>_KEY requests per RATE_LIMIT_<BUDGET>_WINDOW_MS (0 = off)
+const rateLimitStore = createMemoryStore();
+function makeRateLimiter(budget, { ip, key, windowMs }) {
+  const B = budget.toUpperCase();
+  return createRateLimiter({
+    budget,
+    windowMs: envNumber(`RATE_LIMIT_${B}_WINDOW_MS`, windowMs),
+    limits: { ip: envNumber(`RATE_LIMIT_${B}_IP`, ip), key: envNumber(`RATE_LIMIT_${B}_KEY`, key) },
+    store: rateLimitStore,
+  });
+}
+const rateLimits = {
+  api: makeRateLimiter('api', { ip: 300, key: 1200, windowMs: 60 * 1000 }),
+  // routes that may call paid Jina embeddings
+  embed: makeRateLimiter('embed', { ip: 30, key: 120, windowMs: 60 * 1000 }),
+  // public lead form: each hit appends a sheet row
+  leads: makeRateLimiter('leads', { ip: 5, key: 60, windowMs: 10 * 60 * 1000 }),
+  // public search click / feedback logging
+  clicks: makeRateLimiter('clicks', { ip: 60, key: 600, windowMs: 60 * 1000 }),
+};
+app.use(rateLimits.api);
+
+// === GET /auth/me — who the current credential belongs to ===
+app.get('/auth/me', allow('client', 'partner', 'manager'), (req, res) => {
+  const { sub, role, email, partner, exp } = req.auth;
+  res.json({ sub, role, email, partner, exp: exp || null });
+});
+
+// === POST /auth/token { role, email, partner, ttlHours } — mint a signed token ===
+// Managers issue client/partner tokens; manager and admin tokens need an admin.
+app.post('/auth/token', allow('manager'), validate(schemas.authToken), (req, res) => {
+  try {
+    const { role, email = '', partner = '', sub = '', ttlHours = 24 * 7 } = req.body || {};
+    if (['manager', 'admin'].includes(role) && req.auth.role !== 'admin') return forbidden(res);
+    if (role === 'client' && !String(email).trim()) return res.status(400).json({ error: 'email is required for client tokens' });
+    if (role === 'partner' && !String(partner || email).trim()) return res.status(400).json({ error: 'partner or email is required for partner tokens' });
+    const hours = Number(ttlHours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > 24 * 90) return res.status(400).json({ error: 'ttlHours must be between 0 and 2160' });
+    const { token, claims } = authn.signToken({ sub, role, email, partner }, Math.round(hours * 3600));
+    auditRecord(req, { source: 'auth', recordId: claims.sub, newValue: { role: claims.role, exp: claims.exp } });
+    res.json({ token, claims });
+  } catch (err) {
+    if (err.status && err.status < 500) return res.status(err.status).json({ error: err.message });
+    console.error('Error in /auth/token:', err);
+    res.status(500).json({ error: err.status ? err.message : 'Failed to issue token' });
+  }
+});
+
 
 app.get('/', (req, res) => {
   res.send('✅ Server is running');
 });
 
 
-// === SIMPLE IN-MEMORY CACHE for leads/orders ===
-const CACHE_TTL = 15 * 1000; // 15 seconds
-let cacheLeads = { data: null, ts: 0 };
-let cacheOrders = { data: null, ts: 0 };
-const now = () => Date.now();
+// === Per-sheet caches (stale-while-revalidate, single-flight; see lib/sheetCache.js) ===
+// TTLs: CACHE_TTL_MS / CACHE_STALE_MS globally, CACHE_TTL_<SHEET>_MS / CACHE_STALE_<SHEET>_MS per sheet
+const CACHE_TTL = envNumber('CACHE_TTL_MS', 15 * 1000); // 15 seconds
+const CACHE_STALE = envNumber('CACHE_STALE_MS', 5 * 60 * 1000); // serve stale up to 5 more minutes while reloading
+function makeSheetCache(name, sheet) {
+  const key = name.toUpperCase();
+  return createSheetCache({
+    name,
+    load: () => storage.readRows(sheet),
+    ttlMs: envNumber(`CACHE_TTL_${key}_MS`, CACHE_TTL),
+    staleMs: envNumber(`CACHE_STALE_${key}_MS`, CACHE_STALE),
+  });
+}
+const sheetCaches = {
+  orders: makeSheetCache('orders', sheetOrders),
+  leads: makeSheetCache('leads', sheetLeads),
+  tasks: makeSheetCache('tasks', sheetTasks),
+};
+
+// === GET /cacheStats — hit/miss counters and age per sheet cache ===
+app.get('/cacheStats', allow('manager'), (req, res) => {
+  const out = {};
+  for (const [name, cache] of Object.entries(sheetCaches)) out[name] = cache.stats();
+  res.json(out);
+});
+
+// Who performed a write (free-form until routes carry an authenticated user)
+function requestActor(req) {
+  if (req.auth && !req.auth.disabled) return String(req.auth.sub || '').trim();
+  return String(req.get('X-Actor') || req.body?.actor || req.ip || '').trim();
+}
 
-// === Exponential Backoff Retry helper ===
-async function fetchSheetWithRetry(sheets, range, retries = 5, delayMs = 2000) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      const response = await sheets.spreadsheets.values.get({
-        spreadsheetId,
-        range,
-      });
-      return response.data.values;
-    } catch (error) {
-      if ((error.code === 503 || error.code === 429) && i < retries - 1) {
-        const wait = delayMs * Math.pow(2, i);
-        console.warn(`Retrying fetch for ${range} (${i + 1}) after ${wait}ms...`);
-        await new Promise(res => setTimeout(res, wait));
-      } else {
-        throw error;
-      }
-    }
-  }
+// === Audit log (who changed which field, before/after; see lib/audit.js) ===
+const audit = createAuditLog({ storage, sheet: sheetAudit });
+// Route label as registered, e.g. "PATCH /leads/:id"
+function auditRoute(req) {
+  return `${req.method} ${req.route ? req.route.path : req.path}`;
 }
+function auditUpdates(req, { source, recordId, rows, rowIndex, updates }) {
+  const changes = audit.cellChanges({ rows, rowIndex, updates });
+  return audit.record(changes.map(c => ({ ...c, route: auditRoute(req), actor: requestActor(req), source, recordId })));
+}
+// Whole-record events (create / delete / restore) are logged with field "*"
+function auditRecord(req, { source, recordId, oldValue = '', newValue = '' }) {
+  return audit.record([{ route: auditRoute(req), actor: requestActor(req), source, recordId, field: '*', oldValue, newValue }]);
+}
+const leadRecordId = (rows, rowIndex, ref) => leadIdAt(rows, rowIndex) || `${ref.email}|${ref.timestamp}`;
 
-// === Batch write helper with backoff (429/503 aware) ===
-function sleep(ms){ return new Promise(r=>setTimeout(r, ms)); }
+// === Ownership scoping for client / partner callers (rules in lib/auth.js) ===
+const forbidden = res => res.status(403).json({ error: 'Forbidden' });
+
+// Lower-cased names of the teams a partner owns; null for every other role
+async function partnerTeamNames(req) {
+  if (req.auth?.role !== 'partner') return null;
+  const teams = rowsToObjects(await sheetCaches.orders.get());
+  return new Set(teams.filter(t => canAccessTeam(req.auth, t)).map(t => String(t.TeamName || '').trim().toLowerCase()));
+}
+async function canReachLeadRow(req, rows, rowIndex) {
+  if (isStaff(req.auth)) return true;
+  return canAccessLead(req.auth, rowsToObjects([rows[0], rows[rowIndex]])[0], await partnerTeamNames(req));
+}
+// Tasks hang off a lead: projectid is the lead's projectid or leadId
+async function canReachProject(req, projectid) {
+  if (isStaff(req.auth)) return true;
+  const pid = String(projectid || '').trim();
+  if (!pid) return false;
+  const lead = rowsToObjects(await sheetCaches.leads.get())
+    .find(l => String(l.projectid || '').trim() === pid || String(l[LEAD_ID_COLUMN] || '').trim() === pid);
+  return Boolean(lead) && canAccessLead(req.auth, lead, await partnerTeamNames(req));
+}
+// Teams are keyed by their timestamp cell
+async function canReachTeamKey(req, teamKey) {
+  if (isStaff(req.auth)) return true;
+  const team = rowsToObjects(await sheetCaches.orders.get()).find(t => String(t.timestamp || '').trim() === teamKey);
+  return canAccessTeam(req.auth, team);
+}
 
-async function batchWriteValues({ sheets, spreadsheetId, updates, valueInputOption='USER_ENTERED', maxBatch=400, maxRetries=6 }) {
-  // updates: Array<{ range: 'Sheet!A1', values: [[...]] }>
-  const chunks = [];
-  for (let i = 0; i < updates.length; i += maxBatch) {
-    chunks.push(updates.slice(i, i + maxBatch));
+// === Trash (soft delete for leads and tasks; see lib/trash.js) ===
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+const trash = createTrash({
+  storage,
+  sheet: sheetTrash,
+  sources: {
+    leads: { sheet: sheetLeads, schema: LEAD_SCHEMA },
+    tasks: { sheet: sheetTasks },
+  },
+});
+const trashSourceCaches = { leads: sheetCaches.leads, tasks: sheetCaches.tasks };
+
+// === GET /trash?source=leads|tasks — deleted rows, newest first ===
+app.get('/trash', allow('manager'), validate(schemas.trashList), async (req, res) => {
+  try {
+    const source = String(req.query.source || '').trim() || undefined;
+    res.json(await trash.list({ source }));
+  } catch (err) {
+    console.error('Error in GET /trash:', err);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to list trash' });
   }
+});
 
-  for (const chunk of chunks) {
-    let attempt = 0;
-    while (true) {
-      try {
-        await sheets.spreadsheets.values.batchUpdate({
-          spreadsheetId,
-          requestBody: {
-            valueInputOption,
-            data: chunk
-          }
-        });
-        break;
-      } catch (err) {
-        const code = err?.code || err?.response?.status;
-        const retryAfter = Number(err?.response?.headers?.['retry-after'] || 0) * 1000;
-        if ((code === 429 || code === 503) && attempt < maxRetries) {
-          const backoff = Math.min(30000, 600 * 2 ** attempt); // up to 30s
-          await sleep(Math.max(backoff, retryAfter));
-          attempt++;
-          continue;
-        }
-        throw err;
-      }
-    }
+// === POST /trash/:trashId/restore — reinsert the row into its source tab ===
+app.post('/trash/:trashId/restore', allow('manager'), async (req, res) => {
+  try {
+    const restored = await trash.restore(String(req.params.trashId || '').trim());
+    if (!restored) return res.status(404).json({ error: 'Trash entry not found' });
+    await auditRecord(req, { source: restored.source, recordId: restored.recordId, newValue: 'restored' });
+    res.json({ success: true, ...restored });
+    trashSourceCaches[restored.source]?.invalidate();
+  } catch (err) {
+    console.error('Error in /trash/:trashId/restore:', err);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to restore' });
   }
-}
+});
+
+// === POST /trash/purge — drop entries older than the retention window (body.olderThanDays overrides) ===
+const trashPurgeAudit = (entries, { route, actor }) => entries.map(e => ({
+  route, actor, source: 'trash', recordId: e.trashId, field: '*',
+  oldValue: { source: e.source, recordId: e.recordId, deletedAt: e.deletedAt, deletedBy: e.deletedBy }, newValue: 'purged',
+}));
+app.post('/trash/purge', allow('admin'), validate(schemas.trashPurge), async (req, res) => {
+  try {
+    const days = Number(req.body?.olderThanDays ?? TRASH_RETENTION_DAYS);
+    if (!Number.isFinite(days) || days < 0) return res.status(400).json({ error: 'Invalid olderThanDays' });
+    const { purged, entries } = await trash.purge(days * 24 * 60 * 60 * 1000);
+    await audit.record(trashPurgeAudit(entries, { route: auditRoute(req), actor: requestActor(req) }));
+    res.json({ success: true, purged });
+  } catch (err) {
+    console.error('Error in /trash/purge:', err);
+    res.status(500).json({ error: 'Failed to purge trash' });
+  }
+});
+
+// === GET /audit?record=&field=&since= — mutation history (also: source, route, actor, limit) ===
+app.get('/audit', allow('manager'), validate(schemas.audit), async (req, res) => {
+  try {
+    const { record, field, since, source, route, actor, limit } = req.query;
+    if (since && Number.isNaN(Date.parse(since))) return res.status(400).json({ error: 'Invalid since (expected ISO date)' });
+    res.json(await audit.query({ record, field, since, source, route, actor, limit }));
+  } catch (err) {
+    console.error('Error in GET /audit:', err);
+    res.status(500).json({ error: 'Failed to read audit log' });
+  }
+});
 
 // --- Small in-memory cache for query embeddings (dedup transient Jina errors) ---
 const _EMB_CACHE = new Map(); // key -> { vec, exp }
@@ -270,14 +464,16 @@ async function embedBatch(texts) {
 }
 
 // ------------- Qdrant REST helpers -------------
-async function qdrantFetch(path, init = {}) {
+// init.timeoutMs overrides QDRANT_TIMEOUT_MS for one call
+async function qdrantFetch(path, { timeoutMs = QDRANT_TIMEOUT_MS, ...init } = {}) {
   if (!QDRANT_URL || !QDRANT_API_KEY) throw new Error('QDRANT_URL/QDRANT_API_KEY missing');
   const url = `${QDRANT_URL}${path}`;
   const headers = Object.assign({
     'Authorization': `Bearer ${QDRANT_API_KEY}`,
     'Content-Type': 'application/json'
   }, init.headers || {});
-  const resp = await fetch(url, { ...init, headers });
+  const signal = timeoutMs > 0 ? AbortSignal.timeout(timeoutMs) : undefined;
+  const resp = await fetch(url, { ...init, headers, signal });
   return resp;
 }
 
@@ -296,9 +492,23 @@ async function ensureCollection() {
     const t = await create.text().catch(()=> '');
     throw new Error(`Qdrant create failed ${create.status}: ${t}`);
   }
+  await ensurePayloadIndexes();
   return true;
 }
 
+// Payload indexes for the search facets (lib/searchFacets.js); idempotent. Filters work without
+// them, only slower, so a failure is logged rather than thrown.
+async function ensurePayloadIndexes() {
+  for (const index of FACET_INDEXES) {
+    try {
+      const r = await qdrantFetch(`/collections/${COLLECTION}/index?wait=true`, { method: 'PUT', body: JSON.stringify(index) });
+      if (!r.ok) console.warn(`[vectors] payload index ${index.field_name} failed ${r.status}:`, await r.text().catch(() => ''));
+    } catch (e) {
+      console.warn(`[vectors] payload index ${index.field_name} error:`, String(e.message || e));
+    }
+  }
+}
+
 async function upsertPoints(points) {
   if (!Array.isArray(points) || !points.length) return;
   const r = await qdrantFetch(`/collections/${COLLECTION}/points?wait=true`, {
@@ -311,12 +521,37 @@ async function upsertPoints(points) {
   }
 }
 
-async function vectorSearch(vector, limit = 50, filter = null) {
+async function deletePoints(ids) {
+  if (!Array.isArray(ids) || !ids.length) return;
+  const r = await qdrantFetch(`/collections/${COLLECTION}/points/delete?wait=true`, {
+    method: 'POST',
+    body: JSON.stringify({ points: ids })
+  });
+  if (!r.ok && r.status !== 404) {
+    const t = await r.text().catch(()=> '');
+    throw new Error(`Qdrant delete failed ${r.status}: ${t}`);
+  }
+}
+
+// Re-embed one team after an edit; its point id derives from the row, so drop the old one first
+async function reindexTeam(before, after) {
+  if (!vectorsEnabled()) return false;
+  await ensureCollection();
+  const oldId = before ? stableIdForOrder(before) : null;
+  const newId = stableIdForOrder(after);
+  if (oldId && oldId !== newId) await deletePoints([oldId]);
+  const [vector] = await embedBatch([buildSearchText(after)]);
+  await upsertPoints([{ id: newId, vector, payload: withFacetPayload(after) }]);
+  return true;
+}
+
+async function vectorSearch(vector, limit = 50, filter = null, { timeoutMs } = {}) {
   const body = { vector, limit, with_payload: true };
   if (filter) body.filter = filter;
   const r = await qdrantFetch(`/collections/${COLLECTION}/points/search`, {
     method: 'POST',
-    body: JSON.stringify(body)
+    body: JSON.stringify(body),
+    timeoutMs
   });
   if (!r.ok) {
     const t = await r.text().catch(()=> '');
@@ -327,7 +562,7 @@ async function vectorSearch(vector, limit = 50, filter = null) {
 }
 
 // === GET /qdrantInfo — show Qdrant collection config (size, distance, status) ===
-app.get('/qdrantInfo', async (req, res) => {
+app.get('/qdrantInfo', allow('manager'), async (req, res) => {
   try {
     if (!vectorsEnabled()) {
       return res.status(200).json({ enabled: false, reason: 'Missing QDRANT/JINA env vars' });
@@ -358,94 +593,125 @@ app.get('/qdrantInfo', async (req, res) => {
   }
 });
 
-// === POST /vectors/recreate — drop & recreate collection with current EMB_DIM ===
-app.post('/vectors/recreate', async (req, res) => {
+// === Vector administration guard rails (see lib/vectorAdmin.js) ===
+// Admin credential + per-process lock + audit entry on every run; destructive ones are two-step.
+const vectorAdmin = createVectorAdmin({ confirmTtlMs: Number(process.env.VECTOR_CONFIRM_TTL_MS || 2 * 60 * 1000) });
+
+// AUTH_DISABLED's stand-in admin is not enough to wipe the collection
+function requireVectorAdmin(req, res, next) {
+  if (req.auth?.disabled) return res.status(403).json({ error: 'Vector administration needs an admin token or API key (AUTH_DISABLED is on)' });
+  next();
+}
+
+// First call answers 428 with a confirmToken; returns true once the caller repeats it with body.confirm.
+// The token only confirms the same params (e.g. dim/model) it was issued for.
+function confirmDestructive(req, res, action, params = {}) {
+  const actor = requestActor(req);
+  const token = req.body?.confirm || req.get('X-Confirm-Token');
+  if (token && vectorAdmin.consumeConfirmation(action, actor, token, params)) return true;
+  res.status(428).json({
+    error: token ? 'Invalid or expired confirmation token, or the request parameters changed' : 'Confirmation required',
+    ...vectorAdmin.issueConfirmation(action, actor, params),
+    hint: 'Repeat the same request with body.confirm set to confirmToken',
+  });
+  return false;
+}
+
+// op() runs under the vector lock; one audit entry records the outcome (lock conflicts are not logged)
+async function runVectorOp(req, action, params, op) {
+  const t0 = Date.now();
+  try {
+    const result = await vectorAdmin.withLock(action, requestActor(req), op);
+    await auditRecord(req, { source: 'vectors', recordId: COLLECTION, newValue: { action, params, ok: true, ms: Date.now() - t0 } });
+    return result;
+  } catch (err) {
+    if (err.status !== 409) {
+      await auditRecord(req, { source: 'vectors', recordId: COLLECTION, newValue: { action, params, ok: false, error: String(err.message || err) } });
+    }
+    throw err;
+  }
+}
+
+function sendVectorOpError(res, route, err, fallback) {
+  if (err.status === 409) return res.status(409).json({ error: err.message, running: err.running });
+  console.error(`Error in ${route}:`, err);
+  res.status(500).json({ error: err.status ? err.message : fallback });
+}
+
+// Drop (ignoring network errors / 404) and create the collection with the current EMB_DIM
+async function recreateCollection() {
+  let del = null;
+  try {
+    del = await qdrantFetch(`/collections/${COLLECTION}`, { method: 'DELETE' });
+  } catch (e) {
+    console.warn('[vectors] delete error (ignored):', String(e.message||e));
+  }
+  if (del && !del.ok && del.status !== 404) {
+    const t = await del.text().catch(()=>'');
+    throw Object.assign(new Error(`Delete failed ${del.status}: ${t}`), { status: 500 });
+  }
+  const create = await qdrantFetch(`/collections/${COLLECTION}`, {
+    method: 'PUT',
+    body: JSON.stringify({ vectors: { size: CURRENT_DIM, distance: 'Cosine' } })
+  });
+  if (!create.ok) {
+    const t = await create.text().catch(()=> '');
+    throw Object.assign(new Error(`Create failed ${create.status}: ${t}`), { status: 500 });
+  }
+  await ensurePayloadIndexes();
+  try { _EMB_CACHE.clear(); } catch (_) {}
+  const info = await qdrantFetch(`/collections/${COLLECTION}`);
+  return info.ok ? await info.json() : null;
+}
+
+// === GET /vectors/status — which vector operation (if any) holds the lock ===
+app.get('/vectors/status', allow('manager'), (req, res) => {
+  res.json({ running: vectorAdmin.status() });
+});
+
+// === POST /vectors/recreate — drop & recreate collection with current EMB_DIM (two-step confirm) ===
+app.post('/vectors/recreate', allow('admin'), requireVectorAdmin, validate(schemas.vectorsRecreate), async (req, res) => {
   try {
     if (!vectorsEnabled()) {
       return res.status(400).json({ error: 'Vectors not enabled (missing env vars)' });
     }
-    // Drop old collection if exists
-    try {
-      const del = await qdrantFetch(`/collections/${COLLECTION}`, { method: 'DELETE' });
-      if (!del.ok && del.status !== 404) {
-        const t = await del.text().catch(()=>'');
-        return res.status(500).json({ error: `Delete failed ${del.status}: ${t}` });
-      }
-    } catch (e) {
-      // continue even if delete errors (non-existent etc.)
-      console.warn('[vectors/recreate] delete error (ignored):', String(e.message||e));
-    }
-    // Create with current VECTOR_SIZE/EMB_DIM
-    const create = await qdrantFetch(`/collections/${COLLECTION}`, {
-      method: 'PUT',
-      body: JSON.stringify({ vectors: { size: CURRENT_DIM, distance: 'Cosine' } })
-    });
-    if (!create.ok) {
-      const t = await create.text().catch(()=> '');
-      return res.status(500).json({ error: `Create failed ${create.status}: ${t}` });
-    }
-    const info = await qdrantFetch(`/collections/${COLLECTION}`);
-    const j = info.ok ? await info.json() : null;
-    try { _EMB_CACHE.clear(); } catch (_) {}
-    return res.json({ ok: true, collection: COLLECTION, model: CURRENT_MODEL, emb_dim: CURRENT_DIM, qdrant: j });
+    if (!confirmDestructive(req, res, 'vectors.recreate', { dim: CURRENT_DIM, model: CURRENT_MODEL })) return;
+    const qdrant = await runVectorOp(req, 'vectors.recreate', { dim: CURRENT_DIM, model: CURRENT_MODEL }, recreateCollection);
+    return res.json({ ok: true, collection: COLLECTION, model: CURRENT_MODEL, emb_dim: CURRENT_DIM, qdrant });
   } catch (e) {
-    console.error('Error in /vectors/recreate:', e);
-    res.status(500).json({ error: 'Failed to recreate collection' });
+    sendVectorOpError(res, '/vectors/recreate', e, 'Failed to recreate collection');
   }
 });
 
-// --- Exact CSV tag matching helpers (for /orders strict tag search) ---
-const _normExact = s => String(s || '').toLowerCase().replace(/\s+/g, ' ').trim();
-const _splitCSVExact = s => String(s || '').split(',').map(t => t.trim()).filter(Boolean);
-const _acronymExact = s => String(s || '')
-  .split(/[^a-z0-9]+/i).filter(Boolean).map(w => w[0]).join('').toUpperCase();
-
-function csvHasTagExact(csv, wanted) {
-  const w = _normExact(wanted);
-  return _splitCSVExact(csv).some(tag => _normExact(tag) === w);
-}
-function csvHasAcronym(csv, wanted) {
-  const W = String(wanted || '').toUpperCase();
-  if (!W) return false;
-  return _splitCSVExact(csv).some(tag => _acronymExact(tag) === W);
-}
-
 // === GET /orders (with cache) ===
-app.get('/orders', async (req, res) => {
+app.get('/orders', validate(schemas.orders), async (req, res) => {
   try {
-    if (cacheOrders.data && now() - cacheOrders.ts < CACHE_TTL) {
-      return respondFilteredOrders(cacheOrders.data, req, res);
-    }
-    const auth = new google.auth.GoogleAuth({ keyFile: path, scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'] });
-    const client = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: client });
-    const rows = await fetchSheetWithRetry(sheets, `${sheetOrders}!A1:ZZ1000`);
-    cacheOrders = { data: rows, ts: now() };
+    const rows = await sheetCaches.orders.get();
     return respondFilteredOrders(rows, req, res);
   } catch (err) {
     console.error('Error in /orders:', err);
+    degrade(res, { code: 'SHEETS_UNAVAILABLE', message: 'Teams could not be loaded' });
     res.status(200).json([]);
   }
 });
 
 function respondFilteredOrders(rows, req, res) {
   if (!rows || rows.length === 0) return res.json([]);
-  const headers = rows[0].map(h => h.trim());
-  const data = rows.slice(1).map(row => headers.reduce((obj, key, i) => {
-    obj[key] = row[i] || '';
-    return obj;
-  }, {}));
+  res.json(filterOrders(rowsToObjects(rows), req.query));
+}
 
-  const emailQuery = (req.query.email || '').toLowerCase().trim();
+// /orders filters (email, type, type2, confirmed) + TeamName dedup; shared with GET /export/teams
+function filterOrders(data, query = {}) {
+  const emailQuery = (query.email || '').toLowerCase().trim();
 
   // Take raw query strings (do NOT pre-lowercase or split by arbitrary chars).
-  const typeRaw  = String(req.query.type  || '').trim();
-  const type2Raw = String(req.query.type2 || '').trim();
+  const typeRaw  = String(query.type  || '').trim();
+  const type2Raw = String(query.type2 || '').trim();
 
-  const confirmed = req.query.confirmed === 'true';
+  const confirmed = query.confirmed === 'true';
 
   // Support multiple tags in `type` query via CSV: ?type=SEO,PR
-  const qTypes = _splitCSVExact(typeRaw);   // ["SEO","PR"] etc.
+  const qTypes = splitCSVExact(typeRaw);   // ["SEO","PR"] etc.
 
   const filtered = data.filter(row => {
     const email  = String(row.Email || '').toLowerCase();
@@ -474,24 +740,12 @@ function respondFilteredOrders(rows, req, res) {
 
     return matchEmail && matchType && matchType2 && matchConfirmed;
   });
-  const deduped = dedupeByTeamName(filtered);
-  res.json(deduped);
+  return dedupeByTeamName(filtered);
 }
 
 // === GET /ordersPaged (same filters as /orders; dedup + page-cursor pagination) ===
-app.get('/ordersPaged', async (req, res) => {
+app.get('/ordersPaged', validate(schemas.ordersPaged), async (req, res) => {
   try {
-    // Load rows with cache (same as /orders)
-    const getRows = async () => {
-      if (cacheOrders.data && now() - cacheOrders.ts < CACHE_TTL) return cacheOrders.data;
-      const auth = new google.auth.GoogleAuth({ keyFile: path, scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'] });
-      const client = await auth.getClient();
-      const sheets = google.sheets({ version: 'v4', auth: client });
-      const rows = await fetchSheetWithRetry(sheets, `${sheetOrders}!A1:ZZ1000`);
-      cacheOrders = { data: rows, ts: now() };
-      return rows;
-    };
-
     // Page-based cursor (like /searchPaged)
     const rawLimit = Number(req.query.limit || req.query.page_size || 50);
     const PAGE_SIZE = Math.min(Math.max(rawLimit || 50, 1), 50); // hard-cap 50
@@ -502,7 +756,7 @@ app.get('/ordersPaged', async (req, res) => {
     }
     const page = Math.max(1, Number(cursorObj?.page || 1));
 
-    const rows = await getRows();
+    const rows = await sheetCaches.orders.get();
     if (!rows || rows.length === 0) return res.json({ items: [], next_cursor: null, total_estimate: 0 });
 
     // --- Same filtering logic as respondFilteredOrders ---
@@ -513,7 +767,7 @@ app.get('/ordersPaged', async (req, res) => {
     const typeRaw  = String(req.query.type  || '').trim();
     const type2Raw = String(req.query.type2 || '').trim();
     const confirmed = req.query.confirmed === 'true';
-    const qTypes = _splitCSVExact(typeRaw);
+    const qTypes = splitCSVExact(typeRaw);
 
     const filtered = data.filter(row => {
       const email  = String(row.Email || '').toLowerCase();
@@ -548,39 +802,36 @@ app.get('/ordersPaged', async (req, res) => {
     return res.json({ items: slice, next_cursor, total_estimate: total });
   } catch (err) {
     console.error('Error in /ordersPaged:', err);
+    degrade(res, { code: 'SHEETS_UNAVAILABLE', message: 'Teams could not be loaded' });
     res.status(200).json({ items: [], next_cursor: null, total_estimate: 0 });
   }
 });
 
 // === GET /leads (with cache) ===
-app.get('/leads', async (req, res) => {
+app.get('/leads', allow('client', 'partner', 'manager'), validate(schemas.leadsList), async (req, res) => {
   try {
-    if (cacheLeads.data && now() - cacheLeads.ts < CACHE_TTL) {
-      return respondFilteredLeads(cacheLeads.data, req, res);
-    }
-    const auth = new google.auth.GoogleAuth({ keyFile: path, scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'] });
-    const client = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: client });
-    const rows = await fetchSheetWithRetry(sheets, `${sheetLeads}!A1:ZZ1000`);
-    cacheLeads = { data: rows, ts: now() };
-    return respondFilteredLeads(rows, req, res);
+    const rows = await sheetCaches.leads.get();
+    const teamNames = await partnerTeamNames(req);
+    return respondFilteredLeads(rows, req, res, lead => canAccessLead(req.auth, lead, teamNames));
   } catch (err) {
     console.error('Error in /leads:', err);
+    degrade(res, { code: 'SHEETS_UNAVAILABLE', message: 'Leads could not be loaded' });
     res.status(200).json([]);
   }
 });
 
-function respondFilteredLeads(rows, req, res) {
+// visible: per-caller ownership filter applied before the query filters
+function respondFilteredLeads(rows, req, res, visible = () => true) {
   if (!rows || rows.length === 0) return res.json([]);
-  const headers = rows[0].map(h => h.trim());
-  const data = rows.slice(1).map(row => headers.reduce((obj, key, i) => {
-    obj[key] = row[i] || '';
-    return obj;
-  }, {}));
-  const emailQuery = (req.query.email || '').toLowerCase().trim();
-  const partnerQuery = (req.query.partner || '').toLowerCase().trim();
-  const confirmed = req.query.confirmed === 'true';
-  const filtered = data.filter(row => {
+  res.json(filterLeads(rowsToObjects(rows).filter(visible), req.query));
+}
+
+// /leads filters (email, partner, confirmed); shared with GET /export/leads
+function filterLeads(data, query = {}) {
+  const emailQuery = (query.email || '').toLowerCase().trim();
+  const partnerQuery = (query.partner || '').toLowerCase().trim();
+  const confirmed = query.confirmed === 'true';
+  return data.filter(row => {
     const email = (row.Email || row.email || '').toLowerCase();
     const partner = (row.partner || '').toLowerCase();
     const textarea = (row.Textarea || '').toLowerCase();
@@ -589,16 +840,11 @@ function respondFilteredLeads(rows, req, res) {
     const matchConfirmed = confirmed ? textarea.includes('confirmed') : true;
     return matchEmail && matchPartner && matchConfirmed;
   });
-  res.json(filtered);
 }
 
+// Header-keyed objects; same column mapping as the appends in /addOrder and /addTeam
 function rowsToOrders(rows) {
-  if (!rows || rows.length === 0) return [];
-  const headers = rows[0].map(h => h.trim());
-  return rows.slice(1).map(row => headers.reduce((obj, key, i) => {
-    obj[key] = row[i] || '';
-    return obj;
-  }, {}));
+  return rowsToObjects(rows);
 }
 
 function uniq(arr){ return Array.from(new Set(arr)); }
@@ -688,11 +934,7 @@ function buildSearchText(order) {
 // === GET /keywords ===
 app.get('/keywords', async (req, res) => {
   try {
-    // Нет кэша, так как редко используется и не критично для лимитов
-    const auth = new google.auth.GoogleAuth({ keyFile: path, scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'] });
-    const client = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: client });
-    const rows = await fetchSheetWithRetry(sheets, `${sheetOrders}!A1:ZZ1000`);
+    const rows = await sheetCaches.orders.get();
     if (!rows || rows.length === 0) return res.json({ type: [], type2: [] });
     const headers = rows[0];
     const typeIndex = headers.findIndex(h => h.trim().toLowerCase() === 'type');
@@ -711,87 +953,198 @@ app.get('/keywords', async (req, res) => {
   } catch (err) {
     console.error('Error in /keywords:', err);
     // Be lenient on first-load: don't fail the UI because keywords are not critical
+    degrade(res, { code: 'SHEETS_UNAVAILABLE', message: 'Keywords could not be loaded' });
     res.status(200).json({ type: [], type2: [] });
   }
 });
 
+// === Typeahead index (team names, Type/Type2 tags, specialist roles, tag acronyms; see lib/suggest.js) ===
+// Rebuilt from every orders-cache refresh; search routes feed the popularity side with their queries.
+const suggestIndex = createSuggestIndex({
+  popularityWeight: envNumber('SUGGEST_POPULARITY_WEIGHT', 0.75),
+  halfLifeMs: envNumber('SUGGEST_POPULARITY_HALF_LIFE_MS', 24 * 60 * 60 * 1000),
+});
+function suggestTerms(orders) {
+  const { slugByStableId } = buildSlugMaps(orders);
+  const terms = [];
+  const acronyms = new Map(); // acronym -> { count, expands: Set }
+  for (const o of orders) {
+    const name = String(o.TeamName || '').trim();
+    if (name) terms.push({ text: name, kind: 'team', count: 1, slug: slugByStableId.get(stableIdForOrder(o)) });
+    // count each value once per team
+    const tags = new Map(splitCSVExact(o.Type).concat(splitCSVExact(o.Type2)).map(t => [t.toLowerCase(), t]));
+    tags.forEach(t => {
+      terms.push({ text: t, kind: 'tag', count: 1 });
+      const acr = t.split(/[^a-z0-9]+/i).filter(Boolean).length >= 2 ? acronym(t) : '';
+      if (acr.length < 2) return;
+      const cur = acronyms.get(acr) || { count: 0, expands: new Set() };
+      cur.count++;
+      cur.expands.add(t);
+      acronyms.set(acr, cur);
+    });
+    const roles = new Map();
+    for (let i = 1; i <= 10; i++) {
+      const r = String(o[`sp${i}`] || '').trim();
+      if (r) roles.set(r.toLowerCase(), r);
+    }
+    roles.forEach(r => terms.push({ text: r, kind: 'role', count: 1 }));
+  }
+  acronyms.forEach(({ count, expands }, acr) => terms.push({ text: acr, kind: 'acronym', count, expands: [...expands] }));
+  return terms;
+}
+sheetCaches.orders.onRefresh(rows => suggestIndex.build(suggestTerms(rowsToOrders(rows))));
+
+// === GET /suggest?q=&limit=&kinds= — typeahead over team names, tags, roles and acronyms ===
+// kinds: CSV of team, tag, role, acronym (default all). Prefix matches first, then fuzzy ones.
+const SUGGEST_KINDS = ['team', 'tag', 'role', 'acronym'];
+app.get('/suggest', validate(schemas.suggest), async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  try {
+    const limit = Math.min(Number(req.query.limit || 10), 50);
+    const kinds = splitCSVExact(req.query.kinds).map(k => k.toLowerCase());
+    const unknown = kinds.filter(k => !SUGGEST_KINDS.includes(k));
+    if (unknown.length) return res.status(400).json({ error: `Unknown kinds: ${unknown.join(', ')}`, kinds: SUGGEST_KINDS });
+    await sheetCaches.orders.get(); // loads / refreshes the cache, which rebuilds the trie
+    res.json({ q, suggestions: suggestIndex.suggest(q, { limit, kinds: kinds.length ? kinds : null }) });
+  } catch (err) {
+    console.error('Error in /suggest:', err);
+    // Typeahead is a nicety: keep the input usable when the sheet is down
+    degrade(res, { code: 'SHEETS_UNAVAILABLE', message: 'Suggestions could not be loaded' });
+    res.status(200).json({ q, suggestions: [] });
+  }
+});
+
+// === Spam protection for the public lead form (see lib/spamGuard.js, lib/quarantine.js) ===
+// Suspicious submissions get the same success response but land in the quarantine tab.
+// FORM_TOKEN_SECRET defaults to AUTH_SECRET; without either, tokens only survive until a restart.
+const spamGuard = createSpamGuard({
+  secret: process.env.FORM_TOKEN_SECRET || process.env.AUTH_SECRET || '',
+  minFillMs: envNumber('SPAM_MIN_FILL_MS', 3000),
+  tokenTtlMs: envNumber('SPAM_FORM_TOKEN_TTL_MS', 24 * 60 * 60 * 1000),
+  // team pages embed the token and other forms can fetch one from /formToken; set
+  // SPAM_REQUIRE_FORM_TOKEN=false only while a form that cannot send it is still live
+  requireToken: process.env.SPAM_REQUIRE_FORM_TOKEN !== 'false',
+  maxLinks: envNumber('SPAM_MAX_LINKS', 2),
+  disposableDomains: String(process.env.SPAM_DISPOSABLE_DOMAINS || '').split(','),
+});
+const quarantine = createQuarantine({ storage, sheet: sheetQuarantine });
+
+// Appends one lead record by header name; { missingColumns, headers } when the tab lacks required columns
+async function appendLead(record) {
+  const headers = await storage.readHeader(sheetLeads);
+  const missingColumns = findMissingColumns(headers, LEAD_SCHEMA);
+  if (missingColumns.length) return { missingColumns, headers };
+  await ensureLeadIdColumn(storage, sheetLeads, headers);
+  const { row, unknownKeys } = mapRecordToRow(headers, record, LEAD_SCHEMA);
+  await storage.appendRows(sheetLeads, [row]);
+  return { headers, row, unknownKeys };
+}
+
+// === GET /formToken?teamName= — token for lead forms rendered outside renderTeamHTML ===
+app.get('/formToken', (req, res) => {
+  const teamName = String(req.query.teamName || '').slice(0, 200);
+  res.json({ [FORM_TOKEN_FIELD]: spamGuard.issueFormToken(teamName), honeypots: HONEYPOT_FIELDS });
+});
+
 // === POST /addOrder ===
-app.post('/addOrder', async (req, res) => {
+// Values are placed by header name (see lib/sheetSchema.js), so column order in the sheet is free
+app.post('/addOrder', rateLimits.leads, validate(schemas.addOrder), async (req, res) => {
   try {
     const {
-      name, email, partner, teamName, specialists = [],
-      Status1 = '', Status2 = '', "Payment status": PaymentStatus = '', Textarea = '', startDate = '',
-      Type = '', Type2 = '',
-      X1Q = '', industrymarket_expertise = '', anticipated_project_start_date = '',
-      Partner_confirmation = '', Brief = '', Chat = '', Documents = '', nda = '',
-      Link = '', totalsumm = '', month = '',
-      Confirmation = '', PConfirmation = '',
-      spcv1 = '', spcv2 = '', spcv3 = '', spcv4 = '', spcv5 = '',
-      spcv6 = '', spcv7 = '', spcv8 = '', spcv9 = '', spcv10 = ''
-    } = req.body;
-    const auth = new google.auth.GoogleAuth({ keyFile: path, scopes: ['https://www.googleapis.com/auth/spreadsheets'] });
-    const client = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: client });
+      specialists = [], teamName = '', timestamp: _ignoredTs, id: _ignoredId, leadId: _ignoredLeadId,
+      [FORM_TOKEN_FIELD]: _formToken, ...rest
+    } = req.body || {};
+    // Status columns are staff-only: a lead from the form always starts unpaid and unconfirmed
+    const fields = Object.fromEntries(Object.entries(rest)
+      .filter(([k]) => !HONEYPOT_FIELDS.includes(k) && !ADD_ORDER_IGNORED_FIELDS.includes(k)));
     const now = new Date().toLocaleString('en-GB', { timeZone: 'Asia/Tbilisi' });
-    const flat = [];
-    for (let i = 0; i < 10; i++) {
-      const s = specialists[i] || {};
-      flat.push(s.sp || '', s.hours || '', s.rate || s.quantity || '', s.cost || '');
+    const id = randomUUID();
+    const record = { ...fields, TeamName: teamName, ...flattenSpecialists(specialists), timestamp: now, [LEAD_ID_COLUMN]: id };
+
+    // Signed-in callers (staff tools, integrations) are trusted
+    const verdict = req.auth && !req.auth.disabled ? { suspicious: false } : spamGuard.check(req.body || {});
+    if (verdict.suspicious) {
+      const { quarantineId } = await quarantine.add({ record, leadId: id, reasons: verdict.reasons, ip: req.ip });
+      await auditRecord(req, { source: 'quarantine', recordId: id, newValue: { quarantineId, reasons: verdict.reasons } });
+      return res.status(200).json({ success: true, id, unknownKeys: [] });
     }
-    const spcvs = [spcv1, spcv2, spcv3, spcv4, spcv5, spcv6, spcv7, spcv8, spcv9, spcv10];
-    const row = [
-      now, name, email, partner, teamName,
-      Status1, Status2, PaymentStatus, Textarea, startDate,
-      Partner_confirmation, totalsumm, month, X1Q, '',
-      anticipated_project_start_date, industrymarket_expertise, Type, Type2,
-      ...flat, Brief, Chat, Documents, nda, Link,
-      Confirmation, PConfirmation,
-      ...spcvs
-    ];
-    await sheets.spreadsheets.values.append({
-      spreadsheetId,
-      range: `${sheetLeads}!A1`,
-      valueInputOption: 'USER_ENTERED',
-      insertDataOption: 'INSERT_ROWS',
-      requestBody: { values: [row] },
-    });
-    res.status(200).json({ success: true });
+
+    const { missingColumns, headers, row, unknownKeys } = await appendLead(record);
+    if (missingColumns) {
+      return res.status(400).json({ error: 'Required columns not found', required: missingColumns, headers: headers.map(h => String(h || '').trim()) });
+    }
+    await auditRecord(req, { source: 'leads', recordId: id, newValue: rowsToObjects([headers, row])[0] });
+    res.status(200).json({ success: true, id, unknownKeys });
     // Сброс кэша leads (иначе /leads отдаст устаревшие данные)
-    cacheLeads = { data: null, ts: 0 };
+    sheetCaches.leads.invalidate();
   } catch (err) {
     console.error('Error in /addOrder:', err);
     res.status(500).json({ error: 'Failed to append data' });
   }
 });
 
+// === GET /quarantine — held lead submissions with their reasons, newest first ===
+app.get('/quarantine', allow('manager'), async (req, res) => {
+  try {
+    res.json(await quarantine.list());
+  } catch (err) {
+    console.error('Error in GET /quarantine:', err);
+    res.status(500).json({ error: 'Failed to list quarantine' });
+  }
+});
+
+// === POST /quarantine/:quarantineId/release — file a false positive into the leads tab ===
+app.post('/quarantine/:quarantineId/release', allow('manager'), async (req, res) => {
+  try {
+    const released = await quarantine.take(String(req.params.quarantineId || '').trim(), async entry => {
+      const out = await appendLead(entry.data);
+      if (out.missingColumns) {
+        const details = { required: out.missingColumns, headers: out.headers.map(h => String(h || '').trim()) };
+        throw Object.assign(new Error('Required columns not found'), { status: 400, details });
+      }
+      return out;
+    });
+    if (!released) return res.status(404).json({ error: 'Quarantine entry not found' });
+    const { headers, row, unknownKeys } = released.result;
+    await auditRecord(req, { source: 'leads', recordId: released.leadId, newValue: rowsToObjects([headers, row])[0] });
+    res.json({ success: true, id: released.leadId, unknownKeys });
+    sheetCaches.leads.invalidate();
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message, ...err.details });
+    console.error('Error in /quarantine/:quarantineId/release:', err);
+    res.status(500).json({ error: 'Failed to release lead' });
+  }
+});
+
+// === DELETE /quarantine/:quarantineId — drop confirmed spam ===
+app.delete('/quarantine/:quarantineId', allow('manager'), async (req, res) => {
+  try {
+    const dropped = await quarantine.take(String(req.params.quarantineId || '').trim());
+    if (!dropped) return res.status(404).json({ error: 'Quarantine entry not found' });
+    await auditRecord(req, { source: 'quarantine', recordId: dropped.leadId, oldValue: { quarantineId: dropped.quarantineId, reasons: dropped.reasons }, newValue: 'deleted' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error in DELETE /quarantine/:quarantineId:', err);
+    res.status(500).json({ error: 'Failed to delete quarantine entry' });
+  }
+});
+
 // === PATCH /confirm ===
-app.patch('/confirm', async (req, res) => {
-  const { email, timestamp } = req.body;
-  if (!email || !timestamp) return res.status(400).json({ error: 'Missing email or timestamp' });
+app.patch('/confirm', allow('client', 'manager'), validate(schemas.confirm), async (req, res) => {
+  const ref = leadRefFromBody(req.body);
+  if (!ref) return res.status(400).json({ error: 'Missing id or email+timestamp' });
   try {
-    const auth = new google.auth.GoogleAuth({ keyFile: path, scopes: ['https://www.googleapis.com/auth/spreadsheets'] });
-    const client = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: client });
-    const rows = await fetchSheetWithRetry(sheets, `${sheetLeads}!A1:ZZ1000`);
+    const rows = await storage.readRows(sheetLeads);
     const headers = rows[0];
-    const emailCol = headers.findIndex(h => h.trim().toLowerCase() === 'email');
-    const timeCol = headers.findIndex(h => h.trim().toLowerCase() === 'timestamp');
     const confirmCol = headers.findIndex(h => h.trim().toLowerCase() === 'confirmation');
-    const targetRowIndex = rows.findIndex((row, i) =>
-      i > 0 &&
-      (row[emailCol] || '').toLowerCase().trim() === email.toLowerCase().trim() &&
-      (row[timeCol] || '').trim() === timestamp.trim()
-    );
+    const targetRowIndex = findLeadRowIndex(rows, ref);
     if (targetRowIndex < 1) return res.status(404).json({ error: 'Matching row not found' });
-    const range = `${sheetLeads}!${columnToLetter(confirmCol)}${targetRowIndex + 1}`;
-    await sheets.spreadsheets.values.update({
-      spreadsheetId,
-      range,
-      valueInputOption: 'USER_ENTERED',
-      requestBody: { values: [['Confirmed']] },
-    });
-    res.status(200).json({ success: true });
-    cacheLeads = { data: null, ts: 0 };
+    if (!(await canReachLeadRow(req, rows, targetRowIndex))) return forbidden(res);
+    const updates = [{ row: targetRowIndex, col: confirmCol, value: 'Confirmed' }];
+    await storage.updateCells(sheetLeads, updates);
+    await auditUpdates(req, { source: 'leads', recordId: leadRecordId(rows, targetRowIndex, ref), rows, rowIndex: targetRowIndex, updates });
+    res.status(200).json({ success: true, id: leadIdAt(rows, targetRowIndex) });
+    sheetCaches.leads.invalidate();
   } catch (err) {
     console.error('Error in /confirm:', err);
     res.status(500).json({ error: 'Failed to confirm' });
@@ -799,33 +1152,22 @@ app.patch('/confirm', async (req, res) => {
 });
 
 // === PATCH /updatePConfirmation ===
-app.patch('/updatePConfirmation', async (req, res) => {
-  const { email, timestamp, newValue } = req.body;
-  if (!email || !timestamp) return res.status(400).json({ error: 'Missing email or timestamp' });
+app.patch('/updatePConfirmation', allow('partner', 'manager'), validate(schemas.updatePConfirmation), async (req, res) => {
+  const { newValue } = req.body;
+  const ref = leadRefFromBody(req.body);
+  if (!ref) return res.status(400).json({ error: 'Missing id or email+timestamp' });
   try {
-    const auth = new google.auth.GoogleAuth({ keyFile: path, scopes: ['https://www.googleapis.com/auth/spreadsheets'] });
-    const client = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: client });
-    const rows = await fetchSheetWithRetry(sheets, `${sheetLeads}!A1:ZZ1000`);
+    const rows = await storage.readRows(sheetLeads);
     const headers = rows[0];
-    const emailCol = headers.findIndex(h => h.trim().toLowerCase() === 'email');
-    const timeCol = headers.findIndex(h => h.trim().toLowerCase() === 'timestamp');
     const pConfirmCol = headers.findIndex(h => h.trim().toLowerCase() === 'pconfirmation');
-    const targetRowIndex = rows.findIndex((row, i) =>
-      i > 0 &&
-      (row[emailCol] || '').toLowerCase().trim() === email.toLowerCase().trim() &&
-      (row[timeCol] || '').trim() === timestamp.trim()
-    );
+    const targetRowIndex = findLeadRowIndex(rows, ref);
     if (targetRowIndex < 1) return res.status(404).json({ error: 'Matching row not found' });
-    const range = `${sheetLeads}!${columnToLetter(pConfirmCol)}${targetRowIndex + 1}`;
-    await sheets.spreadsheets.values.update({
-      spreadsheetId,
-      range,
-      valueInputOption: 'USER_ENTERED',
-      requestBody: { values: [[newValue]] },
-    });
-    res.status(200).json({ success: true });
-    cacheLeads = { data: null, ts: 0 };
+    if (!(await canReachLeadRow(req, rows, targetRowIndex))) return forbidden(res);
+    const updates = [{ row: targetRowIndex, col: pConfirmCol, value: newValue }];
+    await storage.updateCells(sheetLeads, updates);
+    await auditUpdates(req, { source: 'leads', recordId: leadRecordId(rows, targetRowIndex, ref), rows, rowIndex: targetRowIndex, updates });
+    res.status(200).json({ success: true, id: leadIdAt(rows, targetRowIndex) });
+    sheetCaches.leads.invalidate();
   } catch (err) {
     console.error('Error in /updatePConfirmation:', err);
     res.status(500).json({ error: 'Failed to update PConfirmation' });
@@ -833,33 +1175,22 @@ app.patch('/updatePConfirmation', async (req, res) => {
 });
 
 // === PATCH /updateStatus2 ===
-app.patch('/updateStatus2', async (req, res) => {
-  const { email, timestamp, newValue } = req.body;
-  if (!email || !timestamp || !newValue) return res.status(400).json({ error: 'Missing required fields' });
+app.patch('/updateStatus2', allow('partner', 'manager'), validate(schemas.updateStatus2), async (req, res) => {
+  const { newValue } = req.body;
+  const ref = leadRefFromBody(req.body);
+  if (!ref || !newValue) return res.status(400).json({ error: 'Missing required fields' });
   try {
-    const auth = new google.auth.GoogleAuth({ keyFile: path, scopes: ['https://www.googleapis.com/auth/spreadsheets'] });
-    const client = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: client });
-    const rows = await fetchSheetWithRetry(sheets, `${sheetLeads}!A1:ZZ1000`);
+    const rows = await storage.readRows(sheetLeads);
     const headers = rows[0];
-    const emailCol = headers.findIndex(h => h.trim().toLowerCase() === 'email');
-    const timeCol = headers.findIndex(h => h.trim().toLowerCase() === 'timestamp');
     const status2Col = headers.findIndex(h => h.trim().toLowerCase() === 'status2');
-    const targetRowIndex = rows.findIndex((row, i) =>
-      i > 0 &&
-      (row[emailCol] || '').toLowerCase().trim() === email.toLowerCase().trim() &&
-      (row[timeCol] || '').trim() === timestamp.trim()
-    );
+    const targetRowIndex = findLeadRowIndex(rows, ref);
     if (targetRowIndex < 1) return res.status(404).json({ error: 'Matching row not found' });
-    const range = `${sheetLeads}!${columnToLetter(status2Col)}${targetRowIndex + 1}`;
-    await sheets.spreadsheets.values.update({
-      spreadsheetId,
-      range,
-      valueInputOption: 'USER_ENTERED',
-      requestBody: { values: [[newValue]] },
-    });
-    res.status(200).json({ success: true });
-    cacheLeads = { data: null, ts: 0 };
+    if (!(await canReachLeadRow(req, rows, targetRowIndex))) return forbidden(res);
+    const updates = [{ row: targetRowIndex, col: status2Col, value: newValue }];
+    await storage.updateCells(sheetLeads, updates);
+    await auditUpdates(req, { source: 'leads', recordId: leadRecordId(rows, targetRowIndex, ref), rows, rowIndex: targetRowIndex, updates });
+    res.status(200).json({ success: true, id: leadIdAt(rows, targetRowIndex) });
+    sheetCaches.leads.invalidate();
   } catch (err) {
     console.error('Error in /updateStatus2:', err);
     res.status(500).json({ error: 'Failed to update Status2' });
@@ -867,44 +1198,25 @@ app.patch('/updateStatus2', async (req, res) => {
 });
 
 // === DELETE /deleteOrder ===
-app.delete('/deleteOrder', async (req, res) => {
+app.delete('/deleteOrder', allow('client', 'manager'), validate(schemas.deleteOrder), async (req, res) => {
   try {
-    const { email, timestamp } = req.body;
-    if (!email || !timestamp) {
-      return res.status(400).json({ error: 'Missing email or timestamp' });
+    const ref = leadRefFromBody(req.body);
+    if (!ref) {
+      return res.status(400).json({ error: 'Missing id or email+timestamp' });
     }
-    const auth = new google.auth.GoogleAuth({ keyFile: path, scopes: ['https://www.googleapis.com/auth/spreadsheets'] });
-    const client = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: client });
-    const rows = await fetchSheetWithRetry(sheets, `${sheetLeads}!A1:ZZ1000`);
+    const rows = await storage.readRows(sheetLeads);
     const headers = rows[0];
-    const emailCol = headers.findIndex(h => h.trim().toLowerCase() === 'email');
-    const timeCol = headers.findIndex(h => h.trim().toLowerCase() === 'timestamp');
-    const targetRowIndex = rows.findIndex((row, i) =>
-      i > 0 &&
-      (row[emailCol] || '').toLowerCase().trim() === email.toLowerCase().trim() &&
-      (row[timeCol] || '').trim() === timestamp.trim()
-    );
+    const targetRowIndex = findLeadRowIndex(rows, ref);
     if (targetRowIndex < 1) return res.status(404).json({ error: 'Matching row not found' });
-    await sheets.spreadsheets.batchUpdate({
-      spreadsheetId,
-      requestBody: {
-        requests: [
-          {
-            deleteDimension: {
-              range: {
-                sheetId: 1182114241,
-                dimension: 'ROWS',
-                startIndex: targetRowIndex,
-                endIndex: targetRowIndex + 1,
-              }
-            }
-          }
-        ]
-      }
+    if (!(await canReachLeadRow(req, rows, targetRowIndex))) return forbidden(res);
+    const id = leadIdAt(rows, targetRowIndex);
+    const recordId = leadRecordId(rows, targetRowIndex, ref);
+    const { trashId } = await trash.moveToTrash({
+      source: 'leads', rows, rowIndex: targetRowIndex, recordId, actor: requestActor(req)
     });
-    res.json({ success: true });
-    cacheLeads = { data: null, ts: 0 };
+    await auditRecord(req, { source: 'leads', recordId, oldValue: rowsToObjects([rows[0], rows[targetRowIndex]])[0], newValue: `trash:${trashId}` });
+    res.json({ success: true, id, trashId });
+    sheetCaches.leads.invalidate();
   } catch (err) {
     console.error('Error in /deleteOrder:', err);
     res.status(500).json({ error: 'Failed to delete order' });
@@ -912,39 +1224,31 @@ app.delete('/deleteOrder', async (req, res) => {
 });
 
 // === PATCH /updateOrderHours ===
-app.patch('/updateOrderHours', async (req, res) => {
-  const { email, timestamp, ...fields } = req.body;
-  if (!email || !timestamp) return res.status(400).json({ error: 'Missing email or timestamp' });
+app.patch('/updateOrderHours', allow('partner', 'manager'), validate(schemas.updateOrderHours), async (req, res) => {
+  // leadId itself is never writable through this route
+  const { id: _omitId, leadId: _omitLeadId, email: _omitEmail, timestamp: _omitTS, ...fields } = req.body;
+  const ref = leadRefFromBody(req.body);
+  if (!ref) return res.status(400).json({ error: 'Missing id or email+timestamp' });
   try {
-    const auth = new google.auth.GoogleAuth({ keyFile: path, scopes: ['https://www.googleapis.com/auth/spreadsheets'] });
-    const client = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: client });
-    const rows = await fetchSheetWithRetry(sheets, `${sheetLeads}!A1:ZZ1000`);
+    const rows = await storage.readRows(sheetLeads);
     const headers = rows[0];
-    const emailCol = headers.findIndex(h => h.trim().toLowerCase() === 'email');
-    const timeCol = headers.findIndex(h => h.trim().toLowerCase() === 'timestamp');
-    const targetRowIndex = rows.findIndex((row, i) =>
-      i > 0 &&
-      (row[emailCol] || '').toLowerCase().trim() === email.toLowerCase().trim() &&
-      (row[timeCol] || '').trim() === timestamp.trim()
-    );
+    const targetRowIndex = findLeadRowIndex(rows, ref);
     if (targetRowIndex < 1) return res.status(404).json({ error: 'Matching row not found' });
+    if (!(await canReachLeadRow(req, rows, targetRowIndex))) return forbidden(res);
     const updates = [];
     Object.entries(fields).forEach(([key, value]) => {
       const col = headers.findIndex(h => h.trim().toLowerCase() === key.toLowerCase());
       if (col >= 0) {
         updates.push({
-          range: `${sheetLeads}!${columnToLetter(col)}${targetRowIndex + 1}`,
+          row: targetRowIndex, col,
           value: value
         });
       }
     });
-    await batchWriteValues({
-      sheets, spreadsheetId,
-      updates: updates.map(u => ({ range: u.range, values: [[u.value]] }))
-    });
-    res.status(200).json({ success: true });
-    cacheLeads = { data: null, ts: 0 };
+    await storage.updateCells(sheetLeads, updates);
+    await auditUpdates(req, { source: 'leads', recordId: leadRecordId(rows, targetRowIndex, ref), rows, rowIndex: targetRowIndex, updates });
+    res.status(200).json({ success: true, id: leadIdAt(rows, targetRowIndex) });
+    sheetCaches.leads.invalidate();
   } catch (err) {
     console.error('Error in /updateOrderHours:', err);
     res.status(500).json({ error: 'Failed to update hours' });
@@ -952,6 +1256,19 @@ app.patch('/updateOrderHours', async (req, res) => {
 });
 
 
+// === POST /leads/backfillIds — assign a leadId to every lead created before IDs existed ===
+app.post('/leads/backfillIds', allow('manager'), async (req, res) => {
+  try {
+    const result = await backfillLeadIds(storage, sheetLeads);
+    if (result.assigned) await auditRecord(req, { source: 'leads', recordId: '*', newValue: { leadIdsAssigned: result.assigned } });
+    res.json({ success: true, ...result });
+    sheetCaches.leads.invalidate();
+  } catch (err) {
+    console.error('Error in /leads/backfillIds:', err);
+    res.status(500).json({ error: 'Failed to backfill lead ids' });
+  }
+});
+
 // === UPDATE TEAM (универсальный хэндлер для PATCH/POST/PUT и со слэшем/без) ===
 async function updateTeamHandler(req, res) {
   // --- Normalize payload: enforce timestamp as required, support flexible renaming ---
@@ -978,10 +1295,7 @@ async function updateTeamHandler(req, res) {
     ...fields
   } = rawBody;
   try {
-    const auth = new google.auth.GoogleAuth({ keyFile: path, scopes: ['https://www.googleapis.com/auth/spreadsheets'] });
-    const client = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: client });
-    const rows = await fetchSheetWithRetry(sheets, `${sheetOrders}!A1:ZZ1000`);
+    const rows = await storage.readRows(sheetOrders);
     const headers = rows[0];
     // EXACT column names as in the sheet
     const exactTrim = (s) => (s ?? '').toString().trim();
@@ -993,6 +1307,7 @@ async function updateTeamHandler(req, res) {
     const eq = (a,b) => exactTrim(a) === exactTrim(b);
     const targetRowIndex = rows.findIndex((row, i) => i > 0 && eq(row[timestampCol], tsBody));
     if (targetRowIndex < 1) return res.status(404).json({ error: 'Team not found by timestamp', timestamp: tsBody });
+    if (!canAccessTeam(req.auth, rowsToObjects([headers, rows[targetRowIndex]])[0])) return forbidden(res);
 
     const updates = [];
     const headerIndexByKey = (k) => {
@@ -1011,7 +1326,7 @@ async function updateTeamHandler(req, res) {
       const col = headerIndexByKey(key);
       if (col >= 0) {
         updates.push({
-          range: `${sheetOrders}!${columnToLetter(col)}${targetRowIndex + 1}`,
+          row: targetRowIndex, col,
           value
         });
       }
@@ -1019,7 +1334,7 @@ async function updateTeamHandler(req, res) {
     // if client requested rename, update TeamName column explicitly
     if (newTeamName && teamNameCol >= 0) {
       updates.push({
-        range: `${sheetOrders}!${columnToLetter(teamNameCol)}${targetRowIndex + 1}`,
+        row: targetRowIndex, col: teamNameCol,
         value: newTeamName
       });
     }
@@ -1028,74 +1343,320 @@ async function updateTeamHandler(req, res) {
       return res.status(400).json({ error: 'No valid fields to update', providedKeys: Object.keys(fields), knownHeaders: headers.map(h => exactTrim(h)) });
     }
 
-    await batchWriteValues({
-      sheets, spreadsheetId,
-      updates: updates.map(u => ({ range: u.range, values: [[u.value]] }))
-    });
+    await storage.updateCells(sheetOrders, updates);
+    await auditUpdates(req, { source: 'teams', recordId: exactTrim(tsBody), rows, rowIndex: targetRowIndex, updates });
+    await recordTeamRevision(req, { rows, rowIndex: targetRowIndex, updates });
 
     res.status(200).json({ success: true, renamed: newTeamName ? { to: newTeamName } : null });
-    cacheOrders = { data: null, ts: 0 };
+    sheetCaches.orders.invalidate();
   } catch (err) {
     console.error('Error in /updateTeam:', err);
     res.status(500).json({ error: 'Failed to update team' });
   }
 }
 ['patch','post','put'].forEach(m => {
-  app[m]('/updateTeam', updateTeamHandler);
-  app[m]('/updateTeam/', updateTeamHandler);
+  app[m]('/updateTeam', allow('partner', 'manager'), validate(schemas.updateTeam), updateTeamHandler);
+  app[m]('/updateTeam/', allow('partner', 'manager'), validate(schemas.updateTeam), updateTeamHandler);
 });
 
-// === POST /addTeam ===
-app.post('/addTeam', async (req, res) => {
+// === Team revisions (numbered snapshots per team; see lib/teamRevisions.js) ===
+const teamRevisions = createTeamRevisions({ storage, sheet: sheetTeamRevisions });
+
+// Snapshot the team row after `updates` were applied. Best-effort: never fails the save itself.
+async function recordTeamRevision(req, { rows, rowIndex, updates, note = '' }) {
   try {
-    const auth = new google.auth.GoogleAuth({ keyFile: path, scopes: ['https://www.googleapis.com/auth/spreadsheets'] });
-    const client = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: client });
-    const {
-      timestamp = new Date().toLocaleString('en-GB', { timeZone: 'Asia/Tbilisi' }),
-      Status1 = '', Status2 = '', PaymentStatus = '', anticipated_project_start_date = '',
-      TeamName = '', Textarea = '', startDate = '', partner = '', Partner_confirmation = '',
-      totalsumm = '', month = '', X1Q = '', XXX = '', industrymarket_expertise = '',
-      Brief = '', Chat = '', Documents = '', nda = '', Link = '', Type = '', Type2 = '',
-      spcv1 = '', spcv2 = '', spcv3 = '', spcv4 = '', spcv5 = '', spcv6 = '', spcv7 = '', spcv8 = '', spcv9 = '', spcv10 = ''
-    } = req.body;
-    const getVal = (key) => req.body[key] || '';
-    const specialistFields = [];
-    for (let i = 1; i <= 10; i++) {
-      specialistFields.push(getVal(`sp${i}`), getVal(`hours${i}`), getVal(`quantity${i}`), getVal(`summ${i}`));
+    const headers = rows[0];
+    const afterRow = headers.map((_, i) => rows[rowIndex][i] ?? '');
+    updates.forEach(u => { afterRow[u.col] = u.value; });
+    // No updates means a brand-new row: it is its own first revision, no baseline needed
+    const before = updates.length ? rowsToObjects([headers, rows[rowIndex]])[0] : null;
+    const after = rowsToObjects([headers, afterRow])[0];
+    const teamKey = String(after.timestamp || '').trim();
+    if (!teamKey) return null;
+    return await teamRevisions.recordSave({ teamKey, before, after, actor: requestActor(req), route: auditRoute(req), note });
+  } catch (err) {
+    console.error('[revisions] failed to record team revision:', String(err.message || err));
+    return null;
+  }
+}
+
+// Team key from ?timestamp= / body.timestamp, or resolved from a slug
+async function resolveTeamKey(src = {}) {
+  const ts = String(src.timestamp ?? src.Timestamp ?? '').trim();
+  if (ts) return ts;
+  const slug = String(src.slug || '').trim().toLowerCase();
+  if (!slug) return null;
+  const teams = await _loadTeamsObjects();
+  const { teamBySlug } = buildSlugMaps(teams);
+  const team = teamBySlug.get(slug) || teams.find(t => makeCanonicalSlugForTeam(t).toLowerCase() === slug);
+  return team ? String(team.timestamp || '').trim() || null : null;
+}
+
+// === GET /teamRevisions?timestamp=|slug= — revision list with changed fields per revision ===
+app.get('/teamRevisions', allow('partner', 'manager'), validate(schemas.teamRevisions), async (req, res) => {
+  try {
+    const teamKey = await resolveTeamKey(req.query);
+    if (!teamKey) return res.status(400).json({ error: 'timestamp or slug is required' });
+    if (!(await canReachTeamKey(req, teamKey))) return forbidden(res);
+    const revs = await teamRevisions.list(teamKey);
+    res.json(revs.map((r, i) => ({
+      revision: r.revision, time: r.time, actor: r.actor, route: r.route, note: r.note,
+      changedFields: i ? diffSnapshots(revs[i - 1].data, r.data).map(d => d.field) : []
+    })));
+  } catch (err) {
+    console.error('Error in GET /teamRevisions:', err);
+    res.status(500).json({ error: 'Failed to list team revisions' });
+  }
+});
+
+// === GET /teamRevisions/diff?timestamp=|slug=&from=&to= — field-by-field diff (to defaults to latest) ===
+app.get('/teamRevisions/diff', allow('partner', 'manager'), validate(schemas.teamRevisionsDiff), async (req, res) => {
+  try {
+    const teamKey = await resolveTeamKey(req.query);
+    if (!teamKey) return res.status(400).json({ error: 'timestamp or slug is required' });
+    if (!(await canReachTeamKey(req, teamKey))) return forbidden(res);
+    const revs = await teamRevisions.list(teamKey);
+    if (!revs.length) return res.status(404).json({ error: 'No revisions for this team' });
+    const from = Number(req.query.from);
+    const to = req.query.to !== undefined ? Number(req.query.to) : revs[revs.length - 1].revision;
+    const a = revs.find(r => r.revision === from);
+    const b = revs.find(r => r.revision === to);
+    if (!a || !b) return res.status(404).json({ error: 'Revision not found', available: revs.map(r => r.revision) });
+    res.json({ teamKey, from, to, changes: diffSnapshots(a.data, b.data) });
+  } catch (err) {
+    console.error('Error in GET /teamRevisions/diff:', err);
+    res.status(500).json({ error: 'Failed to diff team revisions' });
+  }
+});
+
+// === POST /revertTeam { timestamp|slug, revision } — restore a revision's fields, keep the slug ===
+app.post('/revertTeam', allow('partner', 'manager'), validate(schemas.revertTeam), async (req, res) => {
+  try {
+    const teamKey = await resolveTeamKey(req.body || {});
+    const revision = Number(req.body?.revision);
+    if (!teamKey || !Number.isInteger(revision)) return res.status(400).json({ error: 'timestamp (or slug) and revision are required' });
+    if (!(await canReachTeamKey(req, teamKey))) return forbidden(res);
+    const target = await teamRevisions.get(teamKey, revision);
+    if (!target) return res.status(404).json({ error: 'Revision not found' });
+
+    const rows = await storage.readRows(sheetOrders);
+    const headers = rows[0] || [];
+    const data = rowsToObjects(rows);
+    const idx = data.findIndex(t => String(t.timestamp || '').trim() === teamKey);
+    if (idx < 0) return res.status(404).json({ error: 'Team not found by timestamp', timestamp: teamKey });
+    const rowIndex = idx + 1;
+    const current = data[idx];
+
+    // Pin the current public slug so a reverted TeamName does not move the team page
+    const { slugByStableId } = buildSlugMaps(data);
+    const currentSlug = slugByStableId.get(stableIdForOrder(current)) || baseSlugForTeam(current);
+    const updates = [];
+    headers.forEach((h, col) => {
+      const key = String(h || '').trim();
+      if (!key || key === 'timestamp' || key.toLowerCase() === 'slug') return;
+      if (!(key in target.data)) return;
+      if (String(target.data[key] ?? '') !== String(current[key] ?? '')) {
+        updates.push({ row: rowIndex, col, value: target.data[key] ?? '' });
+      }
+    });
+    const revertedName = updates.some(u => String(headers[u.col] || '').trim() === 'TeamName');
+    let slugPinned = false;
+    if (revertedName && !String(current.slug || '').trim()) {
+      let slugCol = headers.findIndex(h => String(h || '').trim().toLowerCase() === 'slug');
+      if (slugCol < 0) {
+        slugCol = headers.length;
+        await storage.updateCells(sheetOrders, [{ row: 0, col: slugCol, value: 'slug' }]);
+        headers.push('slug');
+      }
+      updates.push({ row: rowIndex, col: slugCol, value: currentSlug });
+      slugPinned = true;
     }
-    const row = [
-      timestamp, Status1, Status2, PaymentStatus, anticipated_project_start_date, TeamName, Textarea, startDate,
-      partner, Partner_confirmation, '', totalsumm, month, X1Q, XXX, industrymarket_expertise,
-      ...specialistFields, Brief, Chat, Documents, nda, Link, Type, Type2,
-      spcv1, spcv2, spcv3, spcv4, spcv5, spcv6, spcv7, spcv8, spcv9, spcv10
-    ];
-    await sheets.spreadsheets.values.append({
-      spreadsheetId,
-      range: 'DataBaseCollty_Teams!A1',
-      valueInputOption: 'USER_ENTERED',
-      insertDataOption: 'INSERT_ROWS',
-      requestBody: { values: [row] },
+
+    await storage.updateCells(sheetOrders, updates);
+    await auditUpdates(req, { source: 'teams', recordId: teamKey, rows, rowIndex, updates });
+    const newRevision = await recordTeamRevision(req, { rows, rowIndex, updates, note: `revert to ${revision}` });
+    sheetCaches.orders.invalidate();
+
+    const afterRow = headers.map((_, i) => rows[rowIndex][i] ?? '');
+    updates.forEach(u => { afterRow[u.col] = u.value; });
+    const after = rowsToObjects([headers, afterRow])[0];
+    let reindexed = false;
+    try { reindexed = await reindexTeam(current, after); } catch (e) {
+      console.warn('[revertTeam] reindex failed:', String(e.message || e));
+    }
+
+    res.json({
+      success: true, revertedTo: revision, revision: newRevision,
+      changedFields: updates.map(u => String(headers[u.col] || '').trim()),
+      slug: currentSlug, slugPinned, reindexed
     });
-    res.status(200).json({ success: true });
-    cacheOrders = { data: null, ts: 0 };
+  } catch (err) {
+    console.error('Error in /revertTeam:', err);
+    res.status(500).json({ error: 'Failed to revert team' });
+  }
+});
+
+// A team's timestamp is the key /updateTeam and the revision history use: new teams never get a taken one
+const teamTimestamp = ms => new Date(ms).toLocaleString('en-GB', { timeZone: 'Asia/Tbilisi' });
+function freeTeamTimestamp(taken, fromMs) {
+  let ms = fromMs;
+  while (taken.has(teamTimestamp(ms))) ms += 1000;
+  return teamTimestamp(ms);
+}
+
+// === POST /addTeam ===
+app.post('/addTeam', allow('partner', 'manager'), validate(schemas.addTeam), async (req, res) => {
+  try {
+    const { timestamp: givenTs, ...fields } = req.body || {};
+    const timestamp = givenTs || freeTeamTimestamp(
+      new Set(rowsToOrders(await sheetCaches.orders.get()).map(t => String(t.timestamp || '').trim())), Date.now());
+    const record = { ...fields, timestamp };
+    // Teams created by a partner always belong to that partner
+    if (!isStaff(req.auth)) record.partner = partnerKey(req.auth);
+
+    const headers = await storage.readHeader(sheetOrders);
+    const { row, unknownKeys, missingColumns } = mapRecordToRow(headers, record, TEAM_SCHEMA);
+    if (missingColumns.length) {
+      return res.status(400).json({ error: 'Required columns not found', required: missingColumns, headers: headers.map(h => String(h || '').trim()) });
+    }
+    await storage.appendRows(sheetOrders, [row]);
+    await auditRecord(req, { source: 'teams', recordId: timestamp, newValue: rowsToObjects([headers, row])[0] });
+    await recordTeamRevision(req, { rows: [headers, row], rowIndex: 1, updates: [] });
+    res.status(200).json({ success: true, unknownKeys });
+    sheetCaches.orders.invalidate();
   } catch (err) {
     console.error('Error in /addTeam:', err);
     res.status(500).json({ error: 'Failed to append data' });
   }
 });
 
-// === Utility: column to letter ===
-function columnToLetter(col) {
-  let letter = '';
-  while (col >= 0) {
-    letter = String.fromCharCode((col % 26) + 65) + letter;
-    col = Math.floor(col / 26) - 1;
+// === POST /teams/import — bulk add teams from CSV (text/csv) or JSON ===
+// Body: CSV text, a JSON array of team objects, or { rows: [...] | csv: '...', dryRun }.
+// dryRun (body or ?dryRun=1) only reports what would happen. Otherwise valid, non-duplicate
+// rows are appended in IMPORT_BATCH_ROWS batches (each imported team gets revision 1, like /addTeam);
+// invalid/duplicate rows are skipped. A failed batch answers 500 with partial: true and the per-row report.
+const IMPORT_BATCH_ROWS = Math.max(1, Number(process.env.IMPORT_BATCH_ROWS || 200));
+const IMPORT_MAX_ROWS = Math.max(1, Number(process.env.IMPORT_MAX_ROWS || 2000));
+
+app.post('/teams/import', allow('manager'), express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), validate(schemas.teamsImport), async (req, res) => {
+  try {
+    const body = req.body;
+    const isObj = body && typeof body === 'object' && !Array.isArray(body);
+    let input;
+    try {
+      if (typeof body === 'string') input = csvRowsToObjects(parseCsv(body));
+      else if (Array.isArray(body)) input = body;
+      else if (isObj && Array.isArray(body.rows)) input = body.rows;
+      else if (isObj && typeof body.csv === 'string') input = csvRowsToObjects(parseCsv(body.csv));
+    } catch (e) {
+      return res.status(e.status || 400).json({ error: e.message });
+    }
+    if (!input || !input.length) return res.status(400).json({ error: 'Provide CSV text or a non-empty JSON array of teams' });
+    if (input.length > IMPORT_MAX_ROWS) return res.status(400).json({ error: `Too many rows (max ${IMPORT_MAX_ROWS})` });
+    const dryRunRaw = String(req.query.dryRun ?? (isObj ? body.dryRun : '') ?? '').toLowerCase();
+    const dryRun = ['1', 'true', 'yes'].includes(dryRunRaw);
+
+    const rows = await storage.readRows(sheetOrders);
+    const headers = rows[0] || [];
+    const missingColumns = findMissingColumns(headers, TEAM_SCHEMA);
+    if (missingColumns.length) {
+      return res.status(400).json({ error: 'Required columns not found', required: missingColumns, headers: headers.map(h => String(h || '').trim()) });
+    }
+    const existing = rowsToOrders(rows);
+
+    // Row numbers in the report are 1-based positions in the input (CSV header not counted)
+    const report = input.map((raw, i) => {
+      const { record, errors, ignored } = normalizeImportRow(raw, headers);
+      delete record.timestamp; // always server-assigned
+      return { row: i + 1, TeamName: record.TeamName || '', status: errors.length ? 'error' : 'ok', errors, ignored, record };
+    });
+
+    // Existing teams go first so dedupeByTeamName keeps them and drops the incoming copy
+    const candidates = report.filter(r => r.status === 'ok').map(r => r.record);
+    const kept = new Set(dedupeByTeamName(existing.concat(candidates)));
+    const existingNames = new Set(existing.map(t => String(t.TeamName || '').trim().toLowerCase()));
+    report.forEach(r => {
+      if (r.status !== 'ok' || kept.has(r.record)) return;
+      r.status = 'duplicate';
+      r.errors.push(existingNames.has(r.TeamName.trim().toLowerCase())
+        ? 'A team with this TeamName already exists'
+        : 'TeamName repeats an earlier row of this import');
+    });
+
+    const toWrite = report.filter(r => r.status === 'ok');
+    const summary = {
+      dryRun,
+      total: report.length,
+      valid: toWrite.length,
+      errors: report.filter(r => r.status === 'error').length,
+      duplicates: report.filter(r => r.status === 'duplicate').length,
+      ignoredColumns: uniq(report.flatMap(r => r.ignored)),
+    };
+    const rowReport = report.map(({ record, ignored, ...r }) => (dryRun ? { ...r, record } : r));
+    if (dryRun || !toWrite.length) return res.json({ ...summary, imported: 0, rows: rowReport });
+
+    // Each team gets its own timestamp, one second apart and all in the past (ending a second ago),
+    // so none can collide with a team /addTeam creates while or after this runs
+    const taken = new Set(existing.map(t => String(t.timestamp || '').trim()));
+    let clock = Date.now() - toWrite.length * 1000;
+    const values = toWrite.map(r => {
+      while (taken.has(teamTimestamp(clock))) clock += 1000;
+      r.timestamp = teamTimestamp(clock);
+      clock += 1000;
+      return mapRecordToRow(headers, { ...r.record, timestamp: r.timestamp }, TEAM_SCHEMA).row;
+    });
+
+    // Appends (not writes at a precomputed row) so a concurrent /addTeam is never overwritten.
+    // A failed batch stops the import; what was already written is still audited and reported.
+    let writtenCount = 0;
+    let batchError = null;
+    try {
+      for (let i = 0; i < values.length; i += IMPORT_BATCH_ROWS) {
+        const batch = values.slice(i, i + IMPORT_BATCH_ROWS);
+        await storage.appendRows(sheetOrders, batch);
+        writtenCount += batch.length;
+      }
+    } catch (err) {
+      batchError = err;
+      console.error(`Error in /teams/import after ${writtenCount} of ${values.length} rows:`, err);
+    } finally {
+      sheetCaches.orders.invalidate();
+    }
+
+    const done = toWrite.slice(0, writtenCount);
+    const snapshots = values.slice(0, writtenCount).map(row => rowsToObjects([headers, row])[0]);
+    await audit.record(done.map((r, i) => ({
+      route: auditRoute(req), actor: requestActor(req), source: 'teams', recordId: r.timestamp,
+      field: '*', oldValue: '', newValue: snapshots[i],
+    })));
+    try {
+      await teamRevisions.recordNew(done.map((r, i) => ({
+        teamKey: r.timestamp, data: snapshots[i], actor: requestActor(req), route: auditRoute(req),
+      })));
+    } catch (err) {
+      console.error('[revisions] failed to record imported team revisions:', String(err.message || err));
+    }
+
+    const written = new Map(done.map(r => [r.row, r.timestamp]));
+    // rows of the failed batch may or may not have landed (the append is not retried); later ones did not
+    const failed = new Set(toWrite.slice(writtenCount).map(r => r.row));
+    const reportRows = rowReport.map(r => {
+      if (written.has(r.row)) return { ...r, status: 'imported', timestamp: written.get(r.row) };
+      if (failed.has(r.row)) return { ...r, status: 'not_imported' };
+      return r;
+    });
+    if (batchError) {
+      return res.status(500).json({ error: 'Import stopped by a failed write; rows before it were imported', partial: true, ...summary, imported: writtenCount, rows: reportRows });
+    }
+    res.json({ ...summary, imported: writtenCount, rows: reportRows });
+  } catch (err) {
+    console.error('Error in /teams/import:', err);
+    res.status(500).json({ error: 'Failed to import teams' });
   }
-  return letter;
-}
+});
+
 // === POST /tasks ===
-app.post('/tasks', async (req, res) => {
+app.post('/tasks', allow('partner', 'manager'), validate(schemas.taskCreate), async (req, res) => {
   try {
     const {
       projectid = '',
@@ -1116,10 +1677,7 @@ app.post('/tasks', async (req, res) => {
     if (!projectid || !title || !start || !end) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
-    const auth = new google.auth.GoogleAuth({ keyFile: path, scopes: ['https://www.googleapis.com/auth/spreadsheets'] });
-    const client = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: client });
-    const sheetTasks = 'Database_Projectmanagement';
+    if (!(await canReachProject(req, projectid))) return forbidden(res);
 
     // Новый task: timestamp | projectid | title | description | link | link2 | start | end | status | priority | hr1..hr10
     const timestamp = new Date().toISOString();
@@ -1128,15 +1686,11 @@ app.post('/tasks', async (req, res) => {
       ...hrFields // hr1, hr2, ..., hr10
     ];
 
-    await sheets.spreadsheets.values.append({
-      spreadsheetId,
-      range: `${sheetTasks}!A1`,
-      valueInputOption: 'USER_ENTERED',
-      insertDataOption: 'INSERT_ROWS',
-      requestBody: { values: [row] },
-    });
+    await storage.appendRows(sheetTasks, [row]);
+    await auditRecord(req, { source: 'tasks', recordId: `${projectid}|${timestamp}`, newValue: { projectid, title, start, end, status } });
 
     res.status(200).json({ success: true, timestamp });
+    sheetCaches.tasks.invalidate();
   } catch (err) {
     console.error('Error in POST /tasks:', err);
     res.status(500).json({ error: 'Failed to add task' });
@@ -1144,18 +1698,15 @@ app.post('/tasks', async (req, res) => {
 });
 
 // === PATCH /tasks/:timestamp ===
-app.patch('/tasks/:timestamp', async (req, res) => {
+app.patch('/tasks/:timestamp', allow('partner', 'manager'), validate(schemas.taskPatch), async (req, res) => {
   const { timestamp } = req.params;
   const { projectid, ...fields } = req.body;
   if (!projectid || !timestamp) {
     return res.status(400).json({ error: 'Missing projectid or timestamp' });
   }
   try {
-    const auth = new google.auth.GoogleAuth({ keyFile: path, scopes: ['https://www.googleapis.com/auth/spreadsheets'] });
-    const client = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: client });
-    const sheetTasks = 'Database_Projectmanagement';
-    const rows = await fetchSheetWithRetry(sheets, `${sheetTasks}!A1:ZZ1000`);
+    if (!(await canReachProject(req, projectid))) return forbidden(res);
+    const rows = await storage.readRows(sheetTasks);
     const headers = rows[0];
     const timestampCol = headers.findIndex(h => h.trim().toLowerCase() === 'timestamp');
     const projectidCol = headers.findIndex(h => h.trim().toLowerCase() === 'projectid');
@@ -1172,16 +1723,15 @@ app.patch('/tasks/:timestamp', async (req, res) => {
       const col = headers.findIndex(h => h.trim().toLowerCase() === key.toLowerCase());
       if (col >= 0) {
         updates.push({
-          range: `${sheetTasks}!${columnToLetter(col)}${rowIndex + 1}`,
+          row: rowIndex, col,
           value: value
         });
       }
     });
-    await batchWriteValues({
-      sheets, spreadsheetId,
-      updates: updates.map(u => ({ range: u.range, values: [[u.value]] }))
-    });
+    await storage.updateCells(sheetTasks, updates);
+    await auditUpdates(req, { source: 'tasks', recordId: `${projectid.trim()}|${timestamp.trim()}`, rows, rowIndex, updates });
     res.status(200).json({ success: true });
+    sheetCaches.tasks.invalidate();
   } catch (err) {
     console.error('Error in PATCH /tasks/:timestamp', err);
     res.status(500).json({ error: 'Failed to update task' });
@@ -1189,18 +1739,15 @@ app.patch('/tasks/:timestamp', async (req, res) => {
 });
 
 // === DELETE /tasks/:timestamp ===
-app.delete('/tasks/:timestamp', async (req, res) => {
+app.delete('/tasks/:timestamp', allow('partner', 'manager'), validate(schemas.taskDelete), async (req, res) => {
   const { timestamp } = req.params;
   const { projectid } = req.query;
   if (!projectid || !timestamp) {
     return res.status(400).json({ error: 'Missing projectid or timestamp' });
   }
   try {
-    const auth = new google.auth.GoogleAuth({ keyFile: path, scopes: ['https://www.googleapis.com/auth/spreadsheets'] });
-    const client = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: client });
-    const sheetTasks = 'Database_Projectmanagement';
-    const rows = await fetchSheetWithRetry(sheets, `${sheetTasks}!A1:ZZ1000`);
+    if (!(await canReachProject(req, projectid))) return forbidden(res);
+    const rows = await storage.readRows(sheetTasks);
     const headers = rows[0];
     const timestampCol = headers.findIndex(h => h.trim().toLowerCase() === 'timestamp');
     const projectidCol = headers.findIndex(h => h.trim().toLowerCase() === 'projectid');
@@ -1212,26 +1759,11 @@ app.delete('/tasks/:timestamp', async (req, res) => {
     );
     if (rowIndex < 1) return res.status(404).json({ error: 'Task not found' });
 
-    // Получи sheetId для листа задач (можно найти в URL Google Sheets)
-    const sheetId = 759220666; // <-- это твой sheetId для Database_Projectmanagement
-    await sheets.spreadsheets.batchUpdate({
-      spreadsheetId,
-      requestBody: {
-        requests: [
-          {
-            deleteDimension: {
-              range: {
-                sheetId: sheetId,
-                dimension: 'ROWS',
-                startIndex: rowIndex,
-                endIndex: rowIndex + 1,
-              }
-            }
-          }
-        ]
-      }
-    });
-    res.json({ success: true });
+    const recordId = `${projectid.trim()}|${timestamp.trim()}`;
+    const { trashId } = await trash.moveToTrash({ source: 'tasks', rows, rowIndex, recordId, actor: requestActor(req) });
+    await auditRecord(req, { source: 'tasks', recordId, oldValue: rowsToObjects([rows[0], rows[rowIndex]])[0], newValue: `trash:${trashId}` });
+    res.json({ success: true, trashId });
+    sheetCaches.tasks.invalidate();
   } catch (err) {
     console.error('Error in DELETE /tasks/:timestamp', err);
     res.status(500).json({ error: 'Failed to delete task' });
@@ -1239,54 +1771,83 @@ app.delete('/tasks/:timestamp', async (req, res) => {
 });
 
 // === GET /tasks ===
-app.get('/tasks', async (req, res) => {
+app.get('/tasks', allow('client', 'partner', 'manager'), validate(schemas.tasksList), async (req, res) => {
   try {
-    const { projectid = '', start = '', end = '' } = req.query;
-    const auth = new google.auth.GoogleAuth({ keyFile: path, scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'] });
-    const client = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: client });
-    const sheetTasks = 'Database_Projectmanagement';
-    const rows = await fetchSheetWithRetry(sheets, `${sheetTasks}!A1:ZZ1000`);
+    // Clients and partners only see one project at a time, and only their own
+    if (!isStaff(req.auth) && !(await canReachProject(req, req.query.projectid))) return forbidden(res);
+    const rows = await sheetCaches.tasks.get();
     if (!rows || rows.length === 0) return res.json([]);
-    const headers = rows[0].map(h => h.trim());
-    const data = rows.slice(1).map(row => headers.reduce((obj, key, i) => {
-      obj[key] = row[i] || '';
-      return obj;
-    }, {}));
-    // Фильтрация по projectid и датам
-    const filtered = data.filter(row => {
-      const pid = (row.projectid || row.projectId || '').toString();
-      const s = new Date(row.start).getTime();
-      const e = new Date(row.end).getTime();
-      const startQ = start ? new Date(start).getTime() : null;
-      const endQ = end ? new Date(end).getTime() : null;
-      let dateOk = true;
-      if (startQ !== null && s < startQ) dateOk = false;
-      if (endQ !== null && e > endQ) dateOk = false;
-      return (!projectid || pid === projectid) && dateOk;
-    });
-    res.json(filtered);
+    res.json(filterTasks(rowsToObjects(rows), req.query));
   } catch (err) {
     console.error('Error in GET /tasks:', err);
     res.status(500).json([]);
   }
 });
+
+// Фильтрация по projectid и датам (GET /tasks, GET /export/tasks)
+function filterTasks(data, query = {}) {
+  const { projectid = '', start = '', end = '' } = query;
+  return data.filter(row => {
+    const pid = (row.projectid || row.projectId || '').toString();
+    const s = new Date(row.start).getTime();
+    const e = new Date(row.end).getTime();
+    const startQ = start ? new Date(start).getTime() : null;
+    const endQ = end ? new Date(end).getTime() : null;
+    let dateOk = true;
+    if (startQ !== null && s < startQ) dateOk = false;
+    if (endQ !== null && e > endQ) dateOk = false;
+    return (!projectid || pid === projectid) && dateOk;
+  });
+}
+
+// === Exports: GET /export/{leads,teams,tasks}?format=csv|xlsx&columns=a,b,c ===
+// Same filters as GET /leads, /orders and /tasks; chat columns are flattened to text.
+const EXPORTS = {
+  leads: { cache: () => sheetCaches.leads, filter: filterLeads },
+  teams: { cache: () => sheetCaches.orders, filter: filterOrders },
+  tasks: { cache: () => sheetCaches.tasks, filter: filterTasks },
+};
+
+app.get('/export/:kind', allow('manager'), validate(schemas.exportQuery), async (req, res) => {
+  const spec = EXPORTS[req.params.kind];
+  if (!spec) return res.status(404).json({ error: 'Unknown export', available: Object.keys(EXPORTS) });
+  try {
+    const rows = await spec.cache().get();
+    const headers = (rows && rows[0] ? rows[0] : []).map(h => String(h || '').trim());
+    const columns = pickColumns(headers, req.query.columns);
+    const records = spec.filter(rowsToObjects(rows || []), req.query);
+    await sendExport(res, {
+      format: req.query.format || 'csv',
+      filename: req.params.kind,
+      sheetName: req.params.kind,
+      columns,
+      records,
+    });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message, ...(err.details || {}) });
+    console.error(`Error in GET /export/${req.params.kind}:`, err);
+    // Streaming may already have started: cut the download short instead of appending JSON
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: 'Failed to export' });
+  }
+});
 // --- GET /leads/:id ---
-app.get('/leads/:id', async (req, res) => {
+app.get('/leads/:id', allow('client', 'partner', 'manager'), async (req, res) => {
   const { id } = req.params;
   try {
-    const auth = new google.auth.GoogleAuth({ keyFile: path, scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'] });
-    const client = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: client });
-
-    const rows = await fetchSheetWithRetry(sheets, `${sheetLeads}!A1:ZZ1000`);
+    const rows = await sheetCaches.leads.get();
     const headers = rows[0].map(h => h.trim());
 
     const idCol = headers.findIndex(h => h.trim().toLowerCase() === 'projectid');
-    if (idCol < 0) return res.status(400).json({ error: 'No projectid column' });
+    const hasLeadIdCol = headers.some(h => h.toLowerCase() === LEAD_ID_COLUMN.toLowerCase());
+    if (idCol < 0 && !hasLeadIdCol) return res.status(400).json({ error: 'No projectid column' });
 
-    const row = rows.find((row, i) => i > 0 && (row[idCol] || '').trim() === id.trim());
-    if (!row) return res.status(404).json({ error: 'Row not found' });
+    // projectid first, then the stable leadId
+    let rowIndex = idCol >= 0 ? rows.findIndex((row, i) => i > 0 && (row[idCol] || '').trim() === id.trim()) : -1;
+    if (rowIndex < 1) rowIndex = findLeadRowIndex(rows, { id: id.trim() });
+    if (rowIndex < 1) return res.status(404).json({ error: 'Row not found' });
+    if (!(await canReachLeadRow(req, rows, rowIndex))) return forbidden(res);
+    const row = rows[rowIndex];
 
     const result = headers.reduce((obj, key, i) => {
       obj[key] = row[i] || '';
@@ -1312,24 +1873,24 @@ app.get('/leads/:id', async (req, res) => {
 });
 
 // --- PATCH /leads/:id ---
-app.patch('/leads/:id', async (req, res) => {
+app.patch('/leads/:id', allow('client', 'partner', 'manager'), validate(schemas.leadPatch), async (req, res) => {
   const { id } = req.params;
   try {
-    const auth = new google.auth.GoogleAuth({ keyFile: path, scopes: ['https://www.googleapis.com/auth/spreadsheets'] });
-    const client = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: client });
-    const rows = await fetchSheetWithRetry(sheets, `${sheetLeads}!A1:ZZ1000`);
+    const rows = await storage.readRows(sheetLeads);
     const headers = rows[0].map(h => h.trim());
 
     const idCol = headers.findIndex(h => h.trim().toLowerCase() === 'projectid');
-    if (idCol < 0) return res.status(400).json({ error: 'No projectid column' });
-    const rowIndex = rows.findIndex((row, i) => i > 0 && (row[idCol] || '').trim() === id.trim());
+    const hasLeadIdCol = headers.some(h => h.toLowerCase() === LEAD_ID_COLUMN.toLowerCase());
+    if (idCol < 0 && !hasLeadIdCol) return res.status(400).json({ error: 'No projectid column' });
+    let rowIndex = idCol >= 0 ? rows.findIndex((row, i) => i > 0 && (row[idCol] || '').trim() === id.trim()) : -1;
+    if (rowIndex < 1) rowIndex = findLeadRowIndex(rows, { id: id.trim() });
     if (rowIndex < 1) return res.status(404).json({ error: 'Row not found' });
+    if (!(await canReachLeadRow(req, rows, rowIndex))) return forbidden(res);
 
     const updates = [];
     Object.entries(req.body).forEach(([key, value]) => {
       const col = headers.findIndex(h => h.trim() === key);
-      if (col >= 0) {
+      if (col >= 0 && key !== LEAD_ID_COLUMN) {
         if ((key === 'ClientChat' || key === 'PartnerChat' || key === 'ManagerChat') && typeof value !== 'string') {
           try {
             value = JSON.stringify(value);
@@ -1338,477 +1899,241 @@ app.patch('/leads/:id', async (req, res) => {
           }
         }
         updates.push({
-          range: `${sheetLeads}!${columnToLetter(col)}${rowIndex + 1}`,
+          row: rowIndex, col,
           value: value
         });
       }
     });
     if (!updates.length) return res.status(400).json({ error: 'No valid fields to update' });
 
-    await batchWriteValues({
-      sheets, spreadsheetId,
-      updates: updates.map(u => ({ range: u.range, values: [[u.value]] }))
-    });
+    await storage.updateCells(sheetLeads, updates);
+    await auditUpdates(req, { source: 'leads', recordId: leadIdAt(rows, rowIndex) || id.trim(), rows, rowIndex, updates });
     res.status(200).json({ success: true });
+    sheetCaches.leads.invalidate();
   } catch (err) {
     console.error('Error in PATCH /leads/:id', err);
     res.status(500).json({ error: 'Failed to update lead by id' });
   }
 });
 
-// --- Exact-phrase helpers (to prioritize exact matches in TeamName / Type / Type2 / Textarea) ---
-// --- Lightweight MMR diversification (token/Jaccard based; no extra embeddings) ---
-function _itemTokens(it){
-  const parts = [];
-  const pushCSV = (s) => String(s||'').split(',').map(x=>x.trim().toLowerCase()).filter(Boolean).forEach(t=>parts.push(t));
-  const pushWords = (s) => String(s||'').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).forEach(w=>parts.push(w));
-  // High-signal fields first
-  pushCSV(it.Type);
-  pushCSV(it.Type2);
-  pushWords(it.TeamName);
-  // Limited tail from tags/keywords to avoid noise
-  const text = String(it.Textarea||'');
-  pushWords(text.slice(0, 300));
-  // Add acronyms (PR, SMM, CICD)
-  const acr = _acronym([it.Type, it.Type2].map(x=>String(x||'')).join(' '));
-  if (acr) parts.push(acr.toLowerCase());
-  return Array.from(new Set(parts));
-}
-function _jaccard(aSet, bSet){
-  let inter = 0;
-  aSet.forEach(x => { if (bSet.has(x)) inter++; });
-  const union = aSet.size + bSet.size - inter;
-  return union ? (inter / union) : 0;
-}
-// Select K items in diversified order based on MMR.
-// items: [{... , __score:number}], K: how many to keep in order, lambda: trade-off [0..1]
-function mmrDiversifyOrder(items, K = 10, lambda = 0.7){
-  if (!Array.isArray(items) || items.length <= 1) return items;
-  // Precompute token sets
-  const tokSets = items.map(_itemTokens).map(arr => new Set(arr));
-  const picked = [];
-  const remaining = items.map((_,i)=>i);
-  // Start from the best by score
-  remaining.sort((ia, ib) => (items[ib].__score||0) - (items[ia].__score||0));
-  picked.push(remaining.shift());
-  while (picked.length < Math.min(K, items.length) && remaining.length){
-    let bestIdx = 0, bestVal = -Infinity;
-    for (let r = 0; r < remaining.length; r++){
-      const i = remaining[r];
-      const relevance = items[i].__score || 0;
-      let maxSim = 0;
-      for (const j of picked){
-        const s = _jaccard(tokSets[i], tokSets[j]);
-        if (s > maxSim) maxSim = s;
-      }
-      const mmr = lambda * relevance - (1 - lambda) * maxSim;
-      if (mmr > bestVal){ bestVal = mmr; bestIdx = r; }
-    }
-    picked.push(remaining.splice(bestIdx,1)[0]);
-  }
-  // Build diversified order for first K, then append the rest by score
-  const ordered = picked.map(i => items[i]);
-  const pickedSet = new Set(picked);
-  const rest = items.filter((_,idx)=>!pickedSet.has(idx)).sort((a,b)=> (b.__score||0)-(a.__score||0));
-  return ordered.concat(rest);
-}
-// Decide whether to apply diversification: only when top-N are too similar.
-function shouldDiversify(items, checkTopN = 8, simThreshold = 0.55){
-  const N = Math.min(checkTopN, items.length);
-  if (N < 3) return false;
-  const sets = items.slice(0, N).map(_itemTokens).map(arr => new Set(arr));
-  let pairs = 0, high = 0;
-  for (let i=0;i<N;i++){
-    for (let j=i+1;j<N;j++){
-      pairs++;
-      if (_jaccard(sets[i], sets[j]) >= simThreshold) high++;
-    }
-  }
-  // Diversify only if more than half of pairs are very similar
-  return pairs > 0 && (high / pairs) > 0.5;
-}
-function escapeRegExp(s){ return String(s || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
-
-// Extract meaningful multi-word phrases directly from the raw query (without over-normalizing).
-// Example: "i need business strategy" -> ["business strategy"]
-function extractExactPhrases(rawQ){
-  const raw = String(rawQ || '').toLowerCase();
-  // Replace separators with a single space, keep words
-  const tokens = raw.split(/[^a-z0-9]+/).filter(Boolean);
-  // Remove trivial words to avoid phrases like "i need"
-  const stop = new Set(['i','me','my','we','our','need','want','a','an','the','team','for','to','please','looking','search','find','build','hire']);
-  const filtered = tokens.filter(t => !stop.has(t));
-  const phrases = new Set();
-
-  // Collect contiguous bigrams and trigrams as candidate phrases
-  for (let i = 0; i < filtered.length; i++){
-    const one = filtered[i];
-    const two = filtered[i+1];
-    const three = filtered[i+2];
-
-    if (two) phrases.add(`${one} ${two}`);
-    if (two && three) phrases.add(`${one} ${two} ${three}`);
-  }
-
-  // Also include any quoted substrings from the raw query as-is
-  const quoted = raw.match(/"([^"]+)"/g) || [];
-  quoted.forEach(q => {
-    const inner = q.slice(1, -1).trim();
-    if (inner.split(/\s+/).length >= 2) phrases.add(inner.toLowerCase());
-  });
-
-  // Return only phrases of at least 2 words
-  return Array.from(phrases).filter(p => p.split(/\s+/).length >= 2);
-}
-
-// Compute exact-phrase boost based on presence in Type/Type2 (as CSV tags) and in TeamName / Textarea.
-function phraseBoostForItem(item, phrases){
-  if (!phrases || !phrases.length) return 0;
-  const team = String(item.TeamName || '').toLowerCase();
-  const tagsCsv = String(item.Textarea || '');
-  const typeCsv = String(item.Type || '');
-  const type2Csv = String(item.Type2 || '');
-  let boost = 0;
-
-  for (const p of phrases){
-    const pLc = String(p).toLowerCase();
-    const re = new RegExp(`\\b${escapeRegExp(pLc)}\\b`, 'i');
-
-    // Strongest: exact CSV tag match in Type / Type2
-    if (csvHasTagExact(typeCsv, pLc) || csvHasTagExact(type2Csv, pLc)) boost += 0.35;
-
-    // Medium: exact phrase in TeamName
-    if (re.test(team)) boost += 0.20;
-
-    // Light: exact phrase in free-form tags/keywords (Textarea)
-    if (re.test(String(tagsCsv).toLowerCase())) boost += 0.10;
-  }
-
-  // Cap total phrase-derived boost to keep ranking stable
-  return Math.min(boost, 0.60);
-}
 // Utility для безопасного парсинга JSON:
 function safeJsonParse(str) {
   try { return JSON.parse(str); } catch (e) { return []; }
 }
 
-const STOPWORDS = new Set(['i','me','my','we','our','need','want','a','an','the','team','for','to','please','looking','search','find','build','hire']);
-function normalizeQuery(q) {
-  const base = String(q || '').toLowerCase()
-    .replace(/\bci\/cd\b/g, 'ci cd')   // unify CI/CD
-    .replace(/\bcicd\b/g, 'ci cd')     // unify cicd
-    .replace(/[-_]+/g, ' ');
-  const toks = base.split(/[^a-z0-9]+/).filter(Boolean);
-  const filtered = toks.filter(t => !STOPWORDS.has(t));
-  return filtered.join(' ').trim() || base.trim() || String(q || '').trim();
-}
-function _tokens(s){ return String(s||'').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean); }
-function _csvParts(s){ return String(s||'').split(',').map(x=>x.trim()).filter(Boolean); }
-function _acronym(s){
-  return String(s||'').split(/[^a-z0-9]+/i).filter(Boolean).map(w=>w[0]).join('').toUpperCase();
-}
-function keywordFeatures(order, qCoreTokens) {
-  const typeParts  = _csvParts(order.Type);
-  const type2Parts = _csvParts(order.Type2);
-  const allText = [
-    order.TeamName, order.Type, order.Type2, order.Textarea,
-    order.X1Q, order.industrymarket_expertise,
-    order.spcv1,order.spcv2,order.spcv3,order.spcv4,order.spcv5,
-    order.spcv6,order.spcv7,order.spcv8,order.spcv9,order.spcv10
-  ].map(x=>String(x||'').toLowerCase()).join(' ');
-  const qSet = new Set(qCoreTokens);
-  const textTokens = new Set(_tokens(allText));
-  // direct hits in Type / Type2
-  const typeHit  = typeParts.some(t => qSet.has(String(t||'').toLowerCase()));
-  const type2Hit = type2Parts.some(t => qSet.has(String(t||'').toLowerCase()));
-  // text overlap count
-  let overlap = 0;
-  qSet.forEach(t => { if (textTokens.has(t)) overlap++; });
-  // acronym match (PR/SMM/CI/CD)
-  const acrQ = _acronym([...qSet].join(' '));
-  const hasAcr = acrQ && (typeParts.concat(type2Parts).some(t => _acronym(t) === acrQ));
-  return { typeHit, type2Hit, overlap, hasAcr };
-}
-
-// Anchor intent helpers (to strictly prefer canonical tags when user asks for them)
-function hasTag(order, term){
-  const termLc = String(term || '').toLowerCase();
-  const set = new Set(_csvParts(order.Type).concat(_csvParts(order.Type2)).map(s => String(s||'').trim().toLowerCase()));
-  return set.has(termLc);
-}
-
 // === POST /indexVectors ===
 // One-shot (or periodic) indexing: pulls all orders from Sheets and stores embeddings in Qdrant
-app.post('/indexVectors', async (req, res) => {
+// Upsert only (nothing is deleted), so no confirmation; body.background=true answers 202
+// right away and GET /vectors/status shows progress.
+app.post('/indexVectors', allow('admin'), requireVectorAdmin, validate(schemas.indexVectors), async (req, res) => {
   try {
     if (!QDRANT_URL || !QDRANT_API_KEY || !JINA_API_KEY) {
       return res.status(500).json({ error: 'Vector env vars are not set' });
     }
-    // load orders from Sheets
-    const auth = new google.auth.GoogleAuth({ keyFile: path, scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'] });
-    const client = await auth.getClient();
-    const sheets = google.sheets({ version: 'v4', auth: client });
-    const rows = await fetchSheetWithRetry(sheets, `${sheetOrders}!A1:ZZ1000`);
-    const orders = rowsToOrders(rows);
-
-    // ensure collection exists
-    await ensureCollection();
-
-    const BATCH = Number(process.env.EMB_BATCH || 32); // default smaller batch for stability
-    let upserted = 0;
-    for (let i = 0; i < orders.length; i += BATCH) {
-      const slice = orders.slice(i, i + BATCH);
-      const texts = slice.map(buildSearchText);
-
-      // robust batch embeddings (retries + split fallback)
-      const vectors = await embedBatch(texts);
-
-      const points = slice.map((o, idx) => ({
-        id: stableIdForOrder(o),
-        vector: vectors[idx],
-        payload: o
-      }));
-
-      // Remove any legacy points for these TeamNames (from prior runs with non-deterministic IDs), then upsert
-      try { await deletePointsByTeamNames(slice.map(o => o.TeamName)); } catch (_) {}
-      await upsertPoints(points);
-      upserted += points.length;
+    const reindexAll = async () => {
+      // load orders from Sheets
+      const rows = await storage.readRows(sheetOrders);
+      const orders = rowsToOrders(rows);
+
+      // ensure collection exists (and the facet indexes, for collections created before them)
+      await ensureCollection();
+      await ensurePayloadIndexes();
+
+      const BATCH = Number(process.env.EMB_BATCH || 32); // default smaller batch for stability
+      let upserted = 0;
+      for (let i = 0; i < orders.length; i += BATCH) {
+        const slice = orders.slice(i, i + BATCH);
+        const texts = slice.map(buildSearchText);
+
+        // robust batch embeddings (retries + split fallback)
+        const vectors = await embedBatch(texts);
+
+        const points = slice.map((o, idx) => ({
+          id: stableIdForOrder(o),
+          vector: vectors[idx],
+          payload: withFacetPayload(o)
+        }));
+
+        // Remove any legacy points for these TeamNames (from prior runs with non-deterministic IDs), then upsert
+        try { await deletePointsByTeamNames(slice.map(o => o.TeamName)); } catch (_) {}
+        await upsertPoints(points);
+        upserted += points.length;
+      }
+      return { upserted };
+    };
+    if (req.body?.background === true) {
+      const running = vectorAdmin.status();
+      if (running) return res.status(409).json({ error: `Another vector operation is running (${running.action})`, running });
+      runVectorOp(req, 'vectors.index', { background: true }, reindexAll)
+        .catch(e => console.error('indexVectors (background) error:', e));
+      return res.status(202).json({ ok: true, started: true, status: '/vectors/status' });
     }
-
+    const { upserted } = await runVectorOp(req, 'vectors.index', {}, reindexAll);
     res.json({ ok: true, upserted });
   } catch (e) {
-    console.error('indexVectors error:', e);
-    res.status(500).json({ error: String(e.message || e) });
+    sendVectorOpError(res, '/indexVectors', e, String(e.message || e));
   }
 });
 
-// === POST /search ===
-// Body: { q: string, limit?: number }
-// === POST /search ===
-app.post('/search', async (req, res) => {
-  try {
-    const rawQ = String(req.body.q || '').trim();
-    const q = normalizeQuery(rawQ);
-    const exactPhrases = extractExactPhrases(rawQ);
-    const limit = Math.min(Number(req.body.limit || 50), 100);
-    // Be lenient on first-load / empty submissions: return empty list instead of 400
-    if (!q) return res.status(200).json([]);
-    if (!vectorsEnabled()) {
-      console.warn('[search] vectors are disabled (missing env) — returning empty result');
-      return res.status(200).json([]);
-    }
+// v2 clients (lib/envelope.js) see fallbacks flagged instead of a silent [] / lexical-only list
+const VECTORS_DISABLED = { code: 'VECTORS_DISABLED', message: 'Semantic search is not configured' };
+const LEXICAL_FALLBACK = {
+  vectors_disabled: { code: 'LEXICAL_FALLBACK', message: 'Semantic search is not configured; keyword results only', status: 200 },
+  vector_error: { code: 'LEXICAL_FALLBACK', message: 'Semantic search failed; keyword results only', status: 200 },
+};
+
+// === Lexical index (BM25 over the buildSearchText fields; see lib/bm25.js) ===
+// Rebuilt from every orders-cache refresh, so it follows sheet edits with the cache TTL.
+const lexicalIndex = createBm25Index();
+sheetCaches.orders.onRefresh(rows => {
+  const orders = rowsToOrders(rows);
+  lexicalIndex.build(orders.map(o => ({ id: stableIdForOrder(o), text: buildSearchText(o), item: o })));
+});
+async function lexicalSearch(q, k, filters) {
+  await sheetCaches.orders.get(); // loads / refreshes the cache, which rebuilds the index
+  return lexicalIndex.search(q, { limit: k, filter: filters ? o => matchesFilters(o, filters) : null });
+}
 
-    await ensureCollection();
-    const vec = await embedTextCached(q);
-    const hits = await vectorSearch(vec, limit);
-
-    // Map results and keep semantic score
-    let items = (hits || [])
-      .map(h => ({ ...(h.payload || {}), __score: (typeof h.score === 'number' ? h.score : 0) }))
-      .filter(obj => Object.keys(obj).length > 0);
-
-    // Deduplicate by TeamName (keep highest score); fallback to stable key if TeamName missing
-    items = dedupeByTeamNameScore(items);
-
-    // --- Hybrid re-rank (VSS cosine + lightweight keyword/field boosts) ---
-    {
-      const qn = String(q).toLowerCase();
-      const qTokens = qn.split(/[^a-z0-9]+/).filter(Boolean);
-      for (const it of items) {
-        const feat = keywordFeatures(it, qTokens);
-        let final = (typeof it.__score === 'number' ? it.__score : 0);
-
-        // Strong preference for exact tag hits
-        if (feat.typeHit)  final += 0.30;
-        if (feat.type2Hit) final += 0.15;
-
-        // Small bonus for textual overlap in long fields (up to 3 tokens)
-        final += Math.min(feat.overlap, 3) * 0.06;
-
-        // Acronym-friendly nudge (PR, SMM, CICD...)
-        if (feat.hasAcr) final += 0.08;
-
-        // Guardrail: penalize items with zero overlap and no tag hits
-        if (!feat.typeHit && !feat.type2Hit && feat.overlap === 0) final -= 0.10;
-
-        // Social-proof micro-boost
-        if (String(it.Partner_confirmation||'').trim()) final += 0.03;
-
-        // --- Anchor-intent: if the query clearly asks for SEO/PR/CI/CD, punish items without that tag in Type/Type2 ---
-        const wantSEO  = qTokens.includes('seo');
-        const wantPR   = qTokens.includes('pr') || qn.includes('public relations');
-        const wantCICD = qn.includes('ci/cd') || qn.includes('ci cd') || qn.includes('cicd') ||
-                         (qTokens.includes('ci') && qTokens.includes('cd'));
-
-        if (wantSEO) {
-          const seoHit = hasTag(it,'seo') || hasTag(it,'technical seo') || hasTag(it,'on-page seo') ||
-                         hasTag(it,'link building') || hasTag(it,'content seo');
-          if (seoHit) final += 0.12; else final -= 0.22;
-        }
-        if (wantPR) {
-          const prHit = hasTag(it,'pr') || hasTag(it,'public relations') || hasTag(it,'media relations');
-          if (prHit) final += 0.10; else final -= 0.18;
-        }
-        if (wantCICD) {
-          const cicdHit = hasTag(it,'ci/cd') || hasTag(it,'ci cd') || hasTag(it,'cicd') || hasTag(it,'ci') || hasTag(it,'cd');
-          if (cicdHit) final += 0.10; else final -= 0.18;
-        }
+// Marks fallbacks for v2 clients and tells every client which candidate source answered
+function flagSearchMode(res, out) {
+  res.set('X-Search-Mode', out.mode);
+  if (out.mode === 'lexical') degrade(res, LEXICAL_FALLBACK[out.fallback]);
+  else if (out.fallback === 'vectors_disabled') degrade(res, VECTORS_DISABLED);
+}
 
-        // Exact-phrase priority (e.g., "business strategy")
-        final += phraseBoostForItem(it, exactPhrases);
+// === Search dictionary: synonyms / intents from a sheet tab, or SEARCH_DICTIONARY_FILE (JSON) ===
+// Re-read every SEARCH_DICTIONARY_TTL_MS, so edits reach search without a restart (see lib/searchDictionary.js)
+const searchDictionaryFile = process.env.SEARCH_DICTIONARY_FILE || '';
+const searchDictionary = createSearchDictionary({
+  source: searchDictionaryFile ? { file: searchDictionaryFile } : { sheet: sheetSearchDictionary },
+  load: searchDictionaryFile
+    ? fileDictionarySource(searchDictionaryFile)
+    : sheetDictionarySource({ storage, sheet: sheetSearchDictionary }),
+  ttlMs: envNumber('SEARCH_DICTIONARY_TTL_MS', 60 * 1000),
+});
 
-        it.__score = final;
-      }
-    }
+// Points indexed before payload._facets existed match no Qdrant filter. When a filtered search comes
+// back empty, search unfiltered and apply the filters in process to those older points only
+// (points that have _facets were already judged by Qdrant); POST /indexVectors makes this moot.
+let legacyFacetsWarned = false;
+async function legacyFilteredSearch(vec, k, filters) {
+  const hits = await vectorSearch(vec, k * 4);
+  const legacy = hits.filter(h => h.payload && !(FACET_KEY in h.payload));
+  if (legacy.length && !legacyFacetsWarned) {
+    legacyFacetsWarned = true;
+    console.warn('[search] some vectors have no facet payload; filtering them in process until POST /indexVectors runs');
+  }
+  return legacy.filter(h => matchesFilters(h.payload, filters)).slice(0, k);
+}
 
-    // --- Intent-aware re-rank: prefer items whose Type/Type2/Tags contain query keywords ---
-    const qn = String(q).toLowerCase();
-    const qTokens = qn.split(/[^a-z0-9]+/).filter(Boolean);
-    const qSet = new Set(qTokens);
+// === Search pipeline and ranking profiles (see lib/searchPipeline.js, lib/searchRanking.js) ===
+const searchPipeline = createSearchPipeline({
+  embed: q => embedTextCached(q),
+  search: async (vec, k, filters) => {
+    await ensureCollection();
+    let hits = await vectorSearch(vec, k, toQdrantFilter(filters));
+    if (filters && !hits.length) hits = await legacyFilteredSearch(vec, k, filters);
+    return hits.map(h => ({ ...h, payload: stripFacetPayload(h.payload) }));
+  },
+  lexical: lexicalSearch,
+  vectorsEnabled,
+  dedupe: dedupeByTeamNameScore,
+  identity: stableIdForOrder,
+  tieBreak: (a, b) => (stableIdForOrder(a) > stableIdForOrder(b) ? 1 : -1),
+  profiles: loadRankingProfiles({ file: process.env.SEARCH_PROFILES_FILE || '', json: process.env.SEARCH_PROFILES || '' }),
+  defaultProfile: process.env.SEARCH_PROFILE_DEFAULT || 'default',
+  dictionary: searchDictionary.get,
+});
 
-    // Precompute preferred keywords for known intents (kept tiny & safe)
-    const prefers = [];
-    if (qSet.has('ci') || qn.includes('ci/cd') || qn.includes('ci cd') || qn.includes('cicd') || qn.includes('pipeline')) {
-      prefers.push('ci', 'cicd', 'ci/cd', 'pipeline', 'monorepo', 'github actions', 'gitlab', 'jenkins', 'circleci');
-    }
-    if (qSet.has('pr') || qn.includes('public relations')) {
-      prefers.push('pr', 'public relations', 'media relations');
-    }
-    if (qSet.has('marketing') || qn.includes('strategy')) {
-      prefers.push('marketing', 'digital strategy', 'content', 'seo', 'brand strategy', 'go-to-market');
-    }
+// === Search analytics (local JSON Lines per day; see lib/searchAnalytics.js) ===
+// SEARCH_ANALYTICS_DIR= (empty) turns logging off; responses carry X-Search-Id for POST /search/click.
+const searchAnalytics = createSearchAnalytics({
+  dir: process.env.SEARCH_ANALYTICS_DIR ?? './data/search-analytics',
+  retentionDays: envNumber('SEARCH_ANALYTICS_RETENTION_DAYS', 90),
+});
+function logSearch(req, res, { out, filters, count, items, startedAt }) {
+  const id = searchAnalytics.recordSearch({
+    route: `${req.method} ${req.path}`, q: out.q, profile: out.profile, filters,
+    count, topIds: items.slice(0, 10).map(stableIdForOrder), latencyMs: Date.now() - startedAt, mode: out.mode,
+  });
+  if (id) res.set('X-Search-Id', id);
+  return id;
+}
 
-    if (prefers.length) {
-      const prefsLc = prefers.map(s => s.toLowerCase());
-      items = items.map(it => {
-        const t1 = String(it.Type || '').toLowerCase();
-        const t2 = String(it.Type2 || '').toLowerCase();
-        const tg = String(it.Textarea || '').toLowerCase();
-        const hasPref = prefsLc.some(p => t1.includes(p) || t2.includes(p) || tg.includes(p));
-        // gentle boost (not override semantics entirely)
-        const boost = hasPref ? 0.15 : 0;
-        return { ...it, __score: (it.__score || 0) + boost };
-      });
-    }
+// Unknown profile / bad filter -> 400; anything else is a search failure
+function sendSearchError(res, label, e, message) {
+  if (e.status === 400 && e.profiles) return res.status(400).json({ error: e.message, code: 'UNKNOWN_PROFILE', profiles: e.profiles });
+  if (e.status === 400) return res.status(400).json({ error: e.message, code: 'INVALID_FILTER' });
+  console.error(`${label} error:`, e);
+  res.status(500).json({ error: message, code: 'SEARCH_FAILED' });
+}
 
-    // Final ordering: diversify if many top results are near-identical by tags/keywords
-    items.sort((a,b) => (b.__score || 0) - (a.__score || 0));
-    if (shouldDiversify(items, 8, 0.55)) {
-      items = mmrDiversifyOrder(items, Math.min(10, items.length), 0.7);
-    }
-    res.json(items);
+// Shared by POST and GET /search; responds with the ranked list (at most `limit` candidates),
+// or { items, facets?, explain? } when the caller asked for facet counts or a score breakdown
+async function respondSearch(req, res, { rawQ, limit, profile, filters, withFacets, explain, label }) {
+  const startedAt = Date.now();
+  // Validate profile and filters even for empty queries so A/B typos surface right away
+  const { name } = searchPipeline.resolveProfile(profile);
+  const parsed = parseFilters(filters);
+  res.set('X-Search-Profile', name);
+  const send = (items, all = items, explained = null) => {
+    if (!withFacets && !explain) return res.json(items);
+    const body = { items };
+    if (withFacets) body.facets = facetCounts(all);
+    if (explain) body.explain = explained;
+    res.json(body);
+  };
+  // Be lenient on first-load / empty submissions: return empty list instead of 400
+  if (!normalizeQuery(rawQ)) return send([]);
+  const out = await searchPipeline.run({ rawQ, candidates: limit, profile: name, filters: parsed, explain });
+  suggestIndex.recordQuery(out.q);
+  if (out.fallback) console.warn(`[${label}] ${out.fallback}: answered from ${out.mode} candidates`);
+  flagSearchMode(res, out);
+  // hybrid candidates are the union of both legs, so cap to the requested size here
+  const items = out.items.slice(0, limit);
+  logSearch(req, res, { out, filters: parsed, count: items.length, items, startedAt });
+  send(items, out.items, out.explain);
+}
+
+// === POST /search ===
+// Body: { q: string, limit?: number, profile?: string, filters?: { type, type2, role, partnerConfirmed, budgetMin, budgetMax },
+//         facets?: bool, explain?: bool }
+// explain=true adds items[].__explain (every score contribution, rank before / after MMR) and an
+// `explain` block (normalized query, synonyms, exact phrases, intents, candidate mode, diversification).
+app.post('/search', rateLimits.embed, validate(schemas.searchPost), async (req, res) => {
+  try {
+    const rawQ = String(req.body.q || '').trim();
+    const limit = Math.min(Number(req.body.limit || 50), 100);
+    const { profile, filters, facets, explain } = req.body;
+    const flag = v => v === true || v === 'true';
+    await respondSearch(req, res, { rawQ, limit, profile, filters, withFacets: flag(facets), explain: flag(explain), label: 'search' });
   } catch (e) {
-    console.error('search error:', e);
-    res.status(500).json({ error: 'search failed' });
+    sendSearchError(res, 'search', e, 'search failed');
   }
 });
 
 // === GET /search ===
-app.get('/search', async (req, res) => {
+// Query: ?q=&limit=&profile=&facets=true&explain=true, filters as flat params: type, type2, role (CSV), partnerConfirmed, budgetMin, budgetMax
+app.get('/search', rateLimits.embed, validate(schemas.searchGet), async (req, res) => {
   try {
     const rawQ = String(req.query.q || '').trim();
-    const q = normalizeQuery(rawQ);
-    const exactPhrases = extractExactPhrases(rawQ);
     const limit = Math.min(Number(req.query.limit || 50), 100);
-    if (!q) return res.status(200).json([]);
-    if (!vectorsEnabled()) {
-      console.warn('[search:GET] vectors are disabled (missing env) — returning empty result');
-      return res.status(200).json([]);
-    }
-
-    await ensureCollection();
-    const vec = await embedTextCached(q);
-    const hits = await vectorSearch(vec, limit);
-
-    let items = (hits || [])
-      .map(h => ({ ...(h.payload || {}), __score: (typeof h.score === 'number' ? h.score : 0) }))
-      .filter(obj => Object.keys(obj).length > 0);
-
-    // Deduplicate and re-rank — same as POST /search
-    items = dedupeByTeamNameScore(items);
-
-    {
-      const qn = String(q).toLowerCase();
-      const qTokens = qn.split(/[^a-z0-9]+/).filter(Boolean);
-      for (const it of items) {
-        const feat = keywordFeatures(it, qTokens);
-        let final = (typeof it.__score === 'number' ? it.__score : 0);
-        if (feat.typeHit)  final += 0.30;
-        if (feat.type2Hit) final += 0.15;
-        final += Math.min(feat.overlap, 3) * 0.06;
-        if (feat.hasAcr) final += 0.08;
-        if (!feat.typeHit && !feat.type2Hit && feat.overlap === 0) final -= 0.10;
-        if (String(it.Partner_confirmation||'').trim()) final += 0.03;
-
-        const wantSEO  = qTokens.includes('seo') || qn.includes('technical seo');
-        const wantPR   = qTokens.includes('pr') || qn.includes('public relations');
-        const wantCICD = qn.includes('ci/cd') || qn.includes('ci cd') || qn.includes('cicd') ||
-                         (qTokens.includes('ci') && qTokens.includes('cd'));
-        if (wantSEO) {
-          const seoHit = hasTag(it,'seo') || hasTag(it,'technical seo') || hasTag(it,'on-page seo') ||
-                         hasTag(it,'link building') || hasTag(it,'content seo');
-          if (seoHit) final += 0.12; else final -= 0.22;
-        }
-        if (wantPR) {
-          const prHit = hasTag(it,'pr') || hasTag(it,'public relations') || hasTag(it,'media relations');
-          if (prHit) final += 0.10; else final -= 0.18;
-        }
-        if (wantCICD) {
-          const cicdHit = hasTag(it,'ci/cd') || hasTag(it,'ci cd') || hasTag(it,'cicd') || hasTag(it,'ci') || hasTag(it,'cd');
-          if (cicdHit) final += 0.10; else final -= 0.18;
-        }
-        // Exact-phrase priority
-        final += phraseBoostForItem(it, exactPhrases);
-        it.__score = final;
-      }
-    }
-
-    {
-      const qn = String(q).toLowerCase();
-      const qTokens = qn.split(/[^a-z0-9]+/).filter(Boolean);
-      const qSet = new Set(qTokens);
-      const prefers = [];
-      if (qSet.has('ci') || qn.includes('ci/cd') || qn.includes('ci cd') || qn.includes('cicd') || qn.includes('pipeline')) {
-        prefers.push('ci', 'cicd', 'ci/cd', 'pipeline', 'monorepo', 'github actions', 'gitlab', 'jenkins', 'circleci');
-      }
-      if (qSet.has('pr') || qn.includes('public relations')) {
-        prefers.push('pr', 'public relations', 'media relations');
-      }
-      if (qSet.has('marketing') || qn.includes('strategy')) {
-        prefers.push('marketing', 'digital strategy', 'content', 'seo', 'brand strategy', 'go-to-market');
-      }
-      if (prefers.length) {
-        const prefsLc = prefers.map(s => s.toLowerCase());
-        items = items.map(it => {
-          const t1 = String(it.Type || '').toLowerCase();
-          const t2 = String(it.Type2 || '').toLowerCase();
-          const tg = String(it.Textarea || '').toLowerCase();
-          const hasPref = prefsLc.some(p => t1.includes(p) || t2.includes(p) || tg.includes(p));
-          const boost = hasPref ? 0.15 : 0;
-          return { ...it, __score: (it.__score || 0) + boost };
-        });
-      }
-    }
-
-    // Final ordering: diversify if many top results are near-identical by tags/keywords
-    items.sort((a,b) => (b.__score || 0) - (a.__score || 0));
-    if (shouldDiversify(items, 8, 0.55)) {
-      items = mmrDiversifyOrder(items, Math.min(10, items.length), 0.7);
-    }
-    res.json(items);
+    const { profile, facets, explain, ...filters } = req.query;
+    await respondSearch(req, res, { rawQ, limit, profile, filters, withFacets: facets === 'true', explain: explain === 'true', label: 'search:GET' });
   } catch (e) {
-    console.error('search (GET) error:', e);
-    res.status(500).json({ error: 'search failed' });
+    sendSearchError(res, 'search (GET)', e, 'search failed');
   }
 });
 
 // === POST /searchPaged ===
-// Body: { q: string, limit?: number (<=50), cursor?: string(JSON) }
-app.post('/searchPaged', async (req, res) => {
+// Body: { q: string, limit?: number (<=50), cursor?: string(JSON), profile?: string, filters?: {...} as POST /search,
+//         explain?: bool (as POST /search; ranks count across pages) }
+// The cursor remembers the profile so later pages keep the first page's ranking; facet counts cover
+// every candidate of the query, not just the page.
+app.post('/searchPaged', rateLimits.embed, validate(schemas.searchPaged), async (req, res) => {
   try {
+    const startedAt = Date.now();
     const rawQ = String(req.body.q || '').trim();
-    const q = normalizeQuery(rawQ);
-    const exactPhrases = extractExactPhrases(rawQ);
     const pageSizeReq = Number(req.body.limit || req.body.page_size || 50);
     const PAGE_SIZE = Math.min(Math.max(pageSizeReq || 50, 1), 50); // hard-cap 50
 
@@ -1817,156 +2142,129 @@ app.post('/searchPaged', async (req, res) => {
       try { cursorObj = JSON.parse(req.body.cursor); } catch(_) { cursorObj = null; }
     }
     const page = Math.max(1, Number(cursorObj?.page || 1));
+    const { name: profile } = searchPipeline.resolveProfile(req.body.profile || cursorObj?.profile);
+    const filters = parseFilters(req.body.filters);
+    res.set('X-Search-Profile', profile);
 
     // Be lenient on first-load / empty submissions
-    if (!q) return res.status(200).json({ items: [], next_cursor: null, total_estimate: 0 });
-    if (!vectorsEnabled()) {
-      console.warn('[searchPaged] vectors are disabled (missing env) — returning empty page');
-      return res.status(200).json({ items: [], next_cursor: null, total_estimate: 0 });
-    }
-
-    await ensureCollection();
-    const vec = await embedTextCached(q);
+    const explain = req.body.explain === true || req.body.explain === 'true';
+    const emptyPage = { items: [], next_cursor: null, total_estimate: 0, facets: facetCounts([]), ...(explain && { explain: null }) };
+    if (!normalizeQuery(rawQ)) return res.status(200).json(emptyPage);
 
     // Candidate pool grows with page to keep global order stable after re-rank
     const candidatesK = Math.min(1000, page * PAGE_SIZE * 2);
-    const hits = await vectorSearch(vec, candidatesK);
-
-    // Map & dedupe by TeamName (keep highest score); fallback to stable key if TeamName missing
-    let items = (hits || [])
-      .map(h => ({ ...(h.payload || {}), __score: (typeof h.score === 'number' ? h.score : 0) }))
-      .filter(obj => Object.keys(obj).length > 0);
-    items = dedupeByTeamNameScore(items);
-
-    // ---- Hybrid re-rank (same logic as /search) ----
-    {
-      const qn = String(q).toLowerCase();
-      const qTokens = qn.split(/[^a-z0-9]+/).filter(Boolean);
-      for (const it of items) {
-        const feat = keywordFeatures(it, qTokens);
-        let final = (typeof it.__score === 'number' ? it.__score : 0);
-        if (feat.typeHit)  final += 0.30;
-        if (feat.type2Hit) final += 0.15;
-        final += Math.min(feat.overlap, 3) * 0.06;
-        if (feat.hasAcr) final += 0.08;
-        if (!feat.typeHit && !feat.type2Hit && feat.overlap === 0) final -= 0.10;
-        if (String(it.Partner_confirmation||'').trim()) final += 0.03;
-
-        const wantSEO  = qTokens.includes('seo') || qn.includes('technical seo');
-        const wantPR   = qTokens.includes('pr') || qn.includes('public relations');
-        const wantCICD = qn.includes('ci/cd') || qn.includes('ci cd') || qn.includes('cicd') ||
-                         (qTokens.includes('ci') && qTokens.includes('cd'));
-        if (wantSEO) {
-          const seoHit = hasTag(it,'seo') || hasTag(it,'technical seo') || hasTag(it,'on-page seo') ||
-                         hasTag(it,'link building') || hasTag(it,'content seo');
-          if (seoHit) final += 0.12; else final -= 0.22;
-        }
-        if (wantPR) {
-          const prHit = hasTag(it,'pr') || hasTag(it,'public relations') || hasTag(it,'media relations');
-          if (prHit) final += 0.10; else final -= 0.18;
-        }
-        if (wantCICD) {
-          const cicdHit = hasTag(it,'ci/cd') || hasTag(it,'ci cd') || hasTag(it,'cicd') || hasTag(it,'ci') || hasTag(it,'cd');
-          if (cicdHit) final += 0.10; else final -= 0.18;
-        }
-        // Exact-phrase priority
-        final += phraseBoostForItem(it, exactPhrases);
-        it.__score = final;
-      }
-    }
-
-    // Intent-aware gentle preference (same as /search)
-    {
-      const qn = String(q).toLowerCase();
-      const qTokens = qn.split(/[^a-z0-9]+/).filter(Boolean);
-      const qSet = new Set(qTokens);
-      const prefers = [];
-      if (qSet.has('ci') || qn.includes('ci/cd') || qn.includes('ci cd') || qn.includes('cicd') || qn.includes('pipeline')) {
-        prefers.push('ci', 'cicd', 'ci/cd', 'pipeline', 'monorepo', 'github actions', 'gitlab', 'jenkins', 'circleci');
-      }
-      if (qSet.has('pr') || qn.includes('public relations')) {
-        prefers.push('pr', 'public relations', 'media relations');
-      }
-      if (qSet.has('marketing') || qn.includes('strategy')) {
-        prefers.push('marketing', 'digital strategy', 'content', 'seo', 'brand strategy', 'go-to-market');
-      }
-      if (prefers.length) {
-        const prefsLc = prefers.map(s => s.toLowerCase());
-        items = items.map(it => {
-          const t1 = String(it.Type || '').toLowerCase();
-          const t2 = String(it.Type2 || '').toLowerCase();
-          const tg = String(it.Textarea || '').toLowerCase();
-          const hasPref = prefsLc.some(p => t1.includes(p) || t2.includes(p) || tg.includes(p));
-          const boost = hasPref ? 0.15 : 0;
-          return { ...it, __score: (it.__score || 0) + boost };
-        });
-      }
-    }
-
-    // Stable sort + optional diversification for the current page window
-    items.sort((a,b) => (b.__score || 0) - (a.__score || 0) || (stableIdForOrder(a) > stableIdForOrder(b) ? 1 : -1));
-    if (shouldDiversify(items, 8, 0.55)) {
-      items = mmrDiversifyOrder(items, Math.min(PAGE_SIZE, items.length), 0.7);
-    }
+    const out = await searchPipeline.run({ rawQ, candidates: candidatesK, profile, diversifyK: PAGE_SIZE, filters, explain });
+    if (out.fallback) console.warn(`[searchPaged] ${out.fallback}: answered from ${out.mode} candidates`);
+    flagSearchMode(res, out);
+    const { items } = out;
 
     const total = items.length;
     const start = (page - 1) * PAGE_SIZE;
     const end = Math.min(page * PAGE_SIZE, total);
     const slice = start < end ? items.slice(start, end) : [];
     const hasMore = end < total;
-    const next_cursor = hasMore ? JSON.stringify({ page: page + 1 }) : null;
+    // Later pages are not new searches: they keep the first page's X-Search-Id
+    let searchId = typeof cursorObj?.searchId === 'string' ? cursorObj.searchId : null;
+    if (page === 1) {
+      suggestIndex.recordQuery(out.q);
+      searchId = logSearch(req, res, { out, filters, count: total, items, startedAt });
+    } else if (searchId) {
+      res.set('X-Search-Id', searchId);
+    }
+    const next_cursor = hasMore ? JSON.stringify({ page: page + 1, profile, ...(searchId && { searchId }) }) : null;
 
-    return res.json({ items: slice, next_cursor, total_estimate: total });
+    return res.json({ items: slice, next_cursor, total_estimate: total, facets: facetCounts(items), ...(explain && { explain: out.explain }) });
   } catch (e) {
-    console.error('searchPaged error:', e);
-    res.status(500).json({ error: 'searchPaged failed' });
+    sendSearchError(res, 'searchPaged', e, 'searchPaged failed');
   }
 });
 
-// === POST /embeddingConfig — set model/dim at runtime; optional recreate ===
-app.post('/embeddingConfig', async (req, res) => {
+// === GET /search/profiles — ranking profiles as loaded (for A/B setup) ===
+app.get('/search/profiles', allow('manager'), (req, res) => {
+  res.json({ default: searchPipeline.defaultProfile, profiles: searchPipeline.profiles() });
+});
+
+// === GET /search/dictionary — intents and synonyms as loaded, plus skipped entries ===
+app.get('/search/dictionary', allow('manager'), async (req, res) => {
+  await searchDictionary.get();
+  res.json(searchDictionary.status());
+});
+
+// === POST /search/dictionary/reload — re-read the dictionary now instead of after the TTL ===
+app.post('/search/dictionary/reload', allow('manager'), async (req, res) => {
+  await searchDictionary.reload();
+  res.json(searchDictionary.status());
+});
+
+// === GET /search/expand?q=&profile= — preview how a query expands (synonyms, intents, tags, weights) ===
+app.get('/search/expand', allow('manager'), validate(schemas.searchExpand), async (req, res) => {
   try {
-    const { model, dim, recreate = false } = req.body || {};
+    res.json(await searchPipeline.expand(String(req.query.q || ''), req.query.profile));
+  } catch (e) {
+    sendSearchError(res, 'search/expand', e, 'expand failed');
+  }
+});
+
+// === POST /search/click — a result was opened (or rated) ===
+// Body: { searchId: X-Search-Id of the search, team: TeamName or slug,
+//         position?: 1-based rank, feedback?: "helpful" | "not_helpful" (omit for a plain open) }
+// Clicks on an unknown or expired searchId are acknowledged but not logged (recorded: false).
+app.post('/search/click', rateLimits.clicks, validate(schemas.searchClick), async (req, res) => {
+  try {
+    const { searchId, team, position = null, feedback = '' } = req.body;
+    const recorded = await searchAnalytics.recordClick({
+      searchId: String(searchId).trim(), team: String(team).trim(),
+      position: position === null ? null : Number(position), feedback,
+    });
+    res.json({ ok: true, recorded });
+  } catch (err) {
+    console.error('Error in /search/click:', err);
+    res.status(500).json({ error: 'Failed to record click' });
+  }
+});
+
+// === GET /search/analytics?from=&to=&limit= — top queries, zero-result queries, CTR per query ===
+// Dates are inclusive UTC days; default the last 7 days.
+app.get('/search/analytics', allow('manager'), validate(schemas.searchAnalytics), async (req, res) => {
+  try {
+    const { from, to, limit } = req.query;
+    res.json(await searchAnalytics.report({ from, to, limit: Math.min(Number(limit || 50), 500) }));
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error('Error in /search/analytics:', err);
+    res.status(500).json({ error: 'Failed to build search report' });
+  }
+});
+
+// === POST /embeddingConfig — set model/dim at runtime; optional recreate (two-step confirm) ===
+app.post('/embeddingConfig', allow('admin'), requireVectorAdmin, validate(schemas.embeddingConfig), async (req, res) => {
+  try {
+    const { model, dim } = req.body || {};
+    const recreate = req.body?.recreate === true;
 
-    if (typeof model === 'string' && model.trim()) {
-      CURRENT_MODEL = model.trim();
-    }
     if (dim !== undefined) {
       const d = Number(dim);
       if (!Number.isFinite(d) || d < 16 || d > 4096) {
         return res.status(400).json({ error: 'Invalid dim; must be a number between 16 and 4096' });
       }
-      CURRENT_DIM = d;
     }
-    try { _EMB_CACHE.clear(); } catch (_) {}
-
-    let recreated = false;
-    let qdrant = null;
-    if (recreate) {
-      try {
-        const del = await qdrantFetch(`/collections/${COLLECTION}`, { method: 'DELETE' });
-        if (!del.ok && del.status !== 404) {
-          const t = await del.text().catch(()=> '');
-          return res.status(500).json({ error: `Delete failed ${del.status}: ${t}` });
-        }
-      } catch (_) {}
-      const create = await qdrantFetch(`/collections/${COLLECTION}`, {
-        method: 'PUT',
-        body: JSON.stringify({ vectors: { size: CURRENT_DIM, distance: 'Cosine' } })
-      });
-      if (!create.ok) {
-        const t = await create.text().catch(()=> '');
-        return res.status(500).json({ error: `Create failed ${create.status}: ${t}` });
+    // Confirm before touching anything: the config change and the recreate go together
+    const confirmParams = { model, dim: dim === undefined ? undefined : Number(dim) };
+    if (recreate && !confirmDestructive(req, res, 'vectors.embeddingConfig.recreate', confirmParams)) return;
+
+    const action = recreate ? 'vectors.embeddingConfig.recreate' : 'vectors.embeddingConfig';
+    const out = await runVectorOp(req, action, { model, dim, recreate }, async () => {
+      if (typeof model === 'string' && model.trim()) {
+        CURRENT_MODEL = model.trim();
       }
-      recreated = true;
-      const info = await qdrantFetch(`/collections/${COLLECTION}`);
-      qdrant = info.ok ? await info.json() : null;
-    }
+      if (dim !== undefined) CURRENT_DIM = Number(dim);
+      try { _EMB_CACHE.clear(); } catch (_) {}
+      return recreate ? { recreated: true, qdrant: await recreateCollection() } : { recreated: false, qdrant: null };
+    });
 
-    return res.json({ ok: true, model: CURRENT_MODEL, emb_dim: CURRENT_DIM, recreated, qdrant });
+    return res.json({ ok: true, model: CURRENT_MODEL, emb_dim: CURRENT_DIM, ...out });
   } catch (e) {
-    console.error('Error in /embeddingConfig:', e);
-    res.status(500).json({ error: 'Failed to update embedding config' });
+    sendVectorOpError(res, '/embeddingConfig', e, 'Failed to update embedding config');
   }
 });
 
@@ -2025,7 +2323,8 @@ function makeMetaDescription(input, limit = 165) {
   // Fallback: hard cut with ellipsis
   return cut.trim() + '…';
 }
-function renderTeamHTML(team, canonicalSlug){
+// formToken: signed spam-check token for the contact form (see spamGuard.issueFormToken)
+function renderTeamHTML(team, canonicalSlug, { formToken = '', similar = [] } = {}){
   const title = `${team.TeamName || 'Team'} — Collty`;
   const rawDesc = String(
     team.seoDescription
@@ -2139,6 +2438,10 @@ function renderTeamHTML(team, canonicalSlug){
     input,textarea{background:#0e1522;border:1px solid #2a3240;border-radius:10px;color:#e6e8ec;padding:10px;font-size:14px}
     input::placeholder,textarea::placeholder{color:#6e7683}
     .lead{margin:8px 0 8px;color:#cbd5e1;font-size:16px;line-height:1.5}
+    .similar{margin-top:16px}
+    .similar ul{list-style:none;padding:0;margin:8px 0 0}
+    .similar li{padding:8px 0;border-bottom:1px solid var(--bd)}
+    .similar li:last-child{border-bottom:0}
   </style>
 </head>
 <body>
@@ -2199,6 +2502,10 @@ function renderTeamHTML(team, canonicalSlug){
         <input type="hidden" name="teamName" value="${escapeHtml(team.TeamName || '')}">
         <input type="hidden" name="Type" value="${escapeHtml(team.Type || '')}">
         <input type="hidden" name="Type2" value="${escapeHtml(team.Type2 || '')}">
+        <input type="hidden" name="${FORM_TOKEN_FIELD}" value="${escapeHtml(formToken)}">
+        <div aria-hidden="true" style="position:absolute;left:-10000px;top:auto;width:1px;height:1px;overflow:hidden">
+          ${HONEYPOT_FIELDS.map(f => `<input name="${f}" tabindex="-1" autocomplete="off">`).join('\n          ')}
+        </div>
         <input name="name" placeholder="Your name" required>
         <input name="email" placeholder="Email" type="email" required>
         <textarea name="Textarea" placeholder="Describe your needs" rows="3" style="flex:1 1 100%"></textarea>
@@ -2206,6 +2513,14 @@ function renderTeamHTML(team, canonicalSlug){
       </form>
     </div>
 
+    ${similar.length ? `
+    <div class="card similar">
+      <div class="muted">Similar teams</div>
+      <ul>
+        ${similar.map(t => `<li><a href="/team/${escapeHtml(t.slug)}">${escapeHtml(t.TeamName || 'Team')}</a>${t.Type ? ` <span class="muted">${escapeHtml(t.Type)}</span>` : ''}</li>`).join('')}
+      </ul>
+    </div>` : ''}
+
     <div style="margin:16px 2px" class="muted">
       <a href="https://collty.com">← Back to Collty</a>
     </div>
@@ -2290,10 +2605,7 @@ function buildSlugMaps(teams = []) {
 }
 
 async function _loadTeamsObjects() {
-  const auth = new google.auth.GoogleAuth({ keyFile: path, scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'] });
-  const client = await auth.getClient();
-  const sheets = google.sheets({ version: 'v4', auth: client });
-  const rows = await fetchSheetWithRetry(sheets, `${sheetOrders}!A1:ZZ1000`);
+  const rows = await sheetCaches.orders.get();
   return rowsToOrders(rows);
 }
 
@@ -2307,47 +2619,128 @@ async function _findTeamBySlug(slug) {
   return teams.find(t => makeCanonicalSlugForTeam(t).toLowerCase() === lower);
 }
 
-// HTML page for bots and users; front-end reads window.__TEAM_SLUG__ to auto-open the card
-app.get('/team/:slug', async (req, res) => {
-  try {
-    const teams = await _loadTeamsObjects();
-    const { teamBySlug, slugByStableId, looseToCanonical } = buildSlugMaps(teams);
-
-    const raw = String(req.params.slug || '').toLowerCase();
-    let team = teamBySlug.get(raw);
-
-    // Back-compat and tolerant matching:
-    // 1) try loose (punctuation-agnostic) match, e.g. "csrdgri-..." -> "csrd-gri-..."
-    if (!team) {
-      const loose = looseSlug(raw);
-      const cand = looseToCanonical.get(loose);
-      if (cand) {
-        team = teamBySlug.get(cand);
-      }
+// Team for a /team/:slug style param: exact canonical slug, then tolerant fallbacks; null if none
+function resolveTeamSlug(teams, slugParam) {
+  const { teamBySlug, slugByStableId, looseToCanonical } = buildSlugMaps(teams);
+
+  const raw = String(slugParam || '').toLowerCase();
+  let team = teamBySlug.get(raw);
+
+  // Back-compat and tolerant matching:
+  // 1) try loose (punctuation-agnostic) match, e.g. "csrdgri-..." -> "csrd-gri-..."
+  if (!team) {
+    const loose = looseSlug(raw);
+    const cand = looseToCanonical.get(loose);
+    if (cand) {
+      team = teamBySlug.get(cand);
     }
-    // 2) fallback: exact base or prefix match (existing behavior)
-    if (!team) {
-      const base = raw;
-      for (const [slug, t] of teamBySlug.entries()) {
-        if (slug === base || slug.startsWith(base + '-')) { team = t; break; }
-      }
+  }
+  // 2) fallback: exact base or prefix match (existing behavior)
+  if (!team) {
+    const base = raw;
+    for (const [slug, t] of teamBySlug.entries()) {
+      if (slug === base || slug.startsWith(base + '-')) { team = t; break; }
     }
-    // 3) last resort: compare by loose-prefix to tolerate minor separator differences
-    if (!team) {
-      const loose = looseSlug(raw);
-      for (const [slug, t] of teamBySlug.entries()) {
-        if (looseSlug(slug).startsWith(loose)) { team = t; break; }
-      }
+  }
+  // 3) last resort: compare by loose-prefix to tolerate minor separator differences
+  if (!team) {
+    const loose = looseSlug(raw);
+    for (const [slug, t] of teamBySlug.entries()) {
+      if (looseSlug(slug).startsWith(loose)) { team = t; break; }
     }
+  }
+  if (!team) return null;
+
+  const canonical = slugByStableId.get(stableIdForOrder(team)) || baseSlugForTeam(team);
+  return { team, canonical, slugByStableId };
+}
+
+// === Similar teams: nearest neighbours of the team's stored Qdrant vector ===
+// The point itself is excluded in the query; results go through the search dedupe and the default
+// ranking profile's MMR so the list is not five copies of one offer. [] when vectors are off or the
+// team has not been indexed yet (POST /indexVectors).
+async function fetchPointVector(id, { timeoutMs } = {}) {
+  const r = await qdrantFetch(`/collections/${COLLECTION}/points`, {
+    method: 'POST',
+    body: JSON.stringify({ ids: [id], with_vector: true, with_payload: false }),
+    timeoutMs
+  });
+  if (!r.ok) {
+    const t = await r.text().catch(()=> '');
+    throw new Error(`Qdrant point lookup failed ${r.status}: ${t}`);
+  }
+  const j = await r.json();
+  return (j.result || [])[0]?.vector || null;
+}
+
+// Each Qdrant call is capped at SIMILAR_TEAMS_TIMEOUT_MS and results are cached per team for
+// SIMILAR_TEAMS_CACHE_MS (dropped whenever the teams sheet reloads). A failed lookup makes every
+// team skip Qdrant for SIMILAR_TEAMS_RETRY_MS, so while it is slow or down at most one page view
+// per retry window waits for the timeout.
+const SIMILAR_TEAMS_TIMEOUT_MS = envNumber('SIMILAR_TEAMS_TIMEOUT_MS', 1500);
+const SIMILAR_TEAMS_CACHE_MS = envNumber('SIMILAR_TEAMS_CACHE_MS', 10 * 60 * 1000);
+const SIMILAR_TEAMS_RETRY_MS = envNumber('SIMILAR_TEAMS_RETRY_MS', 30 * 1000);
+const similarTeamsCache = new Map(); // `${stableId}:${limit}` -> { ts, items }
+let similarTeamsFailure = null;      // { until, message } after a failed lookup
+sheetCaches.orders.onRefresh(() => similarTeamsCache.clear());
+
+async function similarTeams(team, slugByStableId, limit = 6) {
+  if (!vectorsEnabled()) return [];
+  const key = `${stableIdForOrder(team)}:${limit}`;
+  const cached = similarTeamsCache.get(key);
+  if (cached && Date.now() - cached.ts < SIMILAR_TEAMS_CACHE_MS) return cached.items;
+  if (similarTeamsFailure && Date.now() < similarTeamsFailure.until) {
+    throw new Error(`similar teams paused after a failed lookup: ${similarTeamsFailure.message}`);
+  }
+  let items;
+  try {
+    items = await findSimilarTeams(team, slugByStableId, limit);
+  } catch (err) {
+    similarTeamsFailure = { until: Date.now() + SIMILAR_TEAMS_RETRY_MS, message: String(err.message || err) };
+    throw err;
+  }
+  similarTeamsFailure = null;
+  if (similarTeamsCache.size >= 1000) similarTeamsCache.delete(similarTeamsCache.keys().next().value);
+  similarTeamsCache.set(key, { ts: Date.now(), items });
+  return items;
+}
 
-    if (!team) return res.status(404).send('Not found');
+async function findSimilarTeams(team, slugByStableId, limit) {
+  const timeoutMs = SIMILAR_TEAMS_TIMEOUT_MS;
+  const id = stableIdForOrder(team);
+  const vector = await fetchPointVector(id, { timeoutMs });
+  if (!vector) return [];
+  // extra candidates give MMR something to choose from
+  const hits = await vectorSearch(vector, limit * 3, { must_not: [{ has_id: [id] }] }, { timeoutMs });
+  const selfName = String(team.TeamName || '').trim().toLowerCase();
+  // Points of teams no longer in the sheet are skipped: their pages would 404
+  const items = dedupeByTeamNameScore(hits.map(h => ({ ...stripFacetPayload(h.payload || {}), __score: typeof h.score === 'number' ? h.score : 0 })))
+    .filter(it => String(it.TeamName || '').trim().toLowerCase() !== selfName && slugByStableId.has(stableIdForOrder(it)))
+    .sort((a, b) => b.__score - a.__score);
+  const { mmr } = searchPipeline.resolveProfile();
+  return mmrDiversifyOrder(items, Math.min(limit, items.length), mmr.lambda)
+    .slice(0, limit)
+    .map(it => ({ ...it, slug: slugByStableId.get(stableIdForOrder(it)) }));
+}
 
-    const canonical = slugByStableId.get(stableIdForOrder(team)) || baseSlugForTeam(team);
+// HTML page for bots and users; front-end reads window.__TEAM_SLUG__ to auto-open the card
+app.get('/team/:slug', async (req, res) => {
+  try {
+    const teams = await _loadTeamsObjects();
+    const found = resolveTeamSlug(teams, req.params.slug);
+    if (!found) return res.status(404).send('Not found');
+
+    const { team, canonical, slugByStableId } = found;
     // Hard canonicalization: if requested slug is not the canonical one, redirect permanently
     if (String(req.params.slug || '').toLowerCase() !== String(canonical).toLowerCase()) {
       return res.redirect(301, `/team/${canonical}`);
     }
-    res.type('html').status(200).send(renderTeamHTML(team, canonical));
+    // The page must render even when Qdrant is slow or down
+    const similar = await similarTeams(team, slugByStableId).catch(e => {
+      console.warn('[team page] similar teams unavailable:', String(e.message || e));
+      return [];
+    });
+    res.type('html').status(200).send(renderTeamHTML(team, canonical, { formToken: spamGuard.issueFormToken(team.TeamName), similar }));
   } catch (e) {
     console.error('SEO /team/:slug error:', e);
     res.status(500).send('Server error');
@@ -2358,44 +2751,32 @@ app.get('/team/:slug', async (req, res) => {
 app.get('/api/team/:slug', async (req, res) => {
   try {
     const teams = await _loadTeamsObjects();
-    const { teamBySlug, slugByStableId, looseToCanonical } = buildSlugMaps(teams);
-
-    const raw = String(req.params.slug || '').toLowerCase();
-    let team = teamBySlug.get(raw);
-    // Tolerant loose matching first
-    if (!team) {
-      const loose = looseSlug(raw);
-      const cand = looseToCanonical.get(loose);
-      if (cand) {
-        team = teamBySlug.get(cand);
-      }
-    }
-    // Existing base/prefix fallback
-    if (!team) {
-      const base = raw;
-      for (const [slug, t] of teamBySlug.entries()) {
-        if (slug === base || slug.startsWith(base + '-')) { team = t; break; }
-      }
-    }
-    // Loose-prefix final fallback
-    if (!team) {
-      const loose = looseSlug(raw);
-      for (const [slug, t] of teamBySlug.entries()) {
-        if (looseSlug(slug).startsWith(loose)) { team = t; break; }
-      }
-    }
-    if (!team) return res.status(404).json({ error: 'Not found' });
-
-    const canonical = slugByStableId.get(stableIdForOrder(team)) || baseSlugForTeam(team);
-    res.json({ ...team, slug: canonical });
+    const found = resolveTeamSlug(teams, req.params.slug);
+    if (!found) return res.status(404).json({ error: 'Not found' });
+    res.json({ ...found.team, slug: found.canonical });
   } catch (e) {
     console.error('/api/team/:slug error:', e);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// === GET /api/team/:slug/similar?limit= — nearest-neighbour teams (default 6, max 20) ===
+app.get('/api/team/:slug/similar', validate(schemas.teamSimilar), async (req, res) => {
+  try {
+    const teams = await _loadTeamsObjects();
+    const found = resolveTeamSlug(teams, req.params.slug);
+    if (!found) return res.status(404).json({ error: 'Not found' });
+    const limit = Math.min(Number(req.query.limit || 6), 20);
+    const items = await similarTeams(found.team, found.slugByStableId, limit);
+    res.json({ slug: found.canonical, items });
+  } catch (e) {
+    console.error('/api/team/:slug/similar error:', e);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // --- Static catalog of teams with real anchors for crawlers and users ---
-app.get('/teams', async (req, res) => {
+app.get('/teams', validate(schemas.teamsCatalog), async (req, res) => {
   try {
     const page = Math.max(1, Number(req.query.page || 1));
     const size = Math.min(200, Math.max(10, Number(req.query.size || 100)));
@@ -2683,6 +3064,27 @@ Sitemap: https://collty.com/sitemap.xml
   );
 });
 
-app.listen(port, () => {
-  // console.log(`🚀 Server running on port ${port}`);
-});
\ No newline at end of file
+// Errors no route handled (malformed JSON, CORS) — enveloped for v2 callers
+app.use(envelopeErrors);
+
+// Listen only when run directly, so tests can require the app with STORAGE_BACKEND=file
+if (require.main === module) {
+  app.listen(port, () => {
+    // console.log(`🚀 Server running on port ${port}`);
+  });
+  // Periodic trash purge (TRASH_PURGE_INTERVAL_MS=0 disables it)
+  const purgeEvery = Number(process.env.TRASH_PURGE_INTERVAL_MS ?? 6 * 60 * 60 * 1000);
+  if (purgeEvery > 0) {
+    setInterval(() => {
+      trash.purge(TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+        .then(r => {
+          if (!r.purged) return;
+          console.log(`[trash] purged ${r.purged} entries`);
+          return audit.record(trashPurgeAudit(r.entries, { route: 'scheduled trash purge', actor: 'system' }));
+        })
+        .catch(err => console.warn('[trash] purge failed:', String(err.message || err)));
+    }, purgeEvery).unref();
+  }
+}
+
+module.exports = app;